@@ -26,9 +26,10 @@ export class EventManager {
 	constructor(psychoJS) {
 		this._psychoJS = psychoJS;
 
-		// populate the reverse pyglet map:
+		// populate the reverse pyglet map, keeping the first pyglet name of each code:
 		for (var keyName in EventManager._pygletMap)
-			EventManager._reversePygletMap[EventManager._pygletMap[keyName]] = keyName;
+			if (!(EventManager._pygletMap[keyName] in EventManager._reversePygletMap))
+				EventManager._reversePygletMap[EventManager._pygletMap[keyName]] = keyName;
 
 		// add key listeners:
 		this._keyBuffer = [];
@@ -46,9 +47,45 @@ export class EventManager {
 				// time elapsed from last reset of the button.Clocks:
 				times: [0.0, 0.0, 0.0]
 			},
-			// clock reset when mouse is moved:
-			moveClock: new Clock()
+			// clock reset when mouse is moved, undefined when stopped:
+			moveClock: new Clock(),
+			// relative motion accumulated while the pointer is locked, never reset, so that each Mouse can
+			// measure it from its own baseline:
+			movement: [0, 0]
 		};
+
+		// the canvas, on which the mouse listeners are added:
+		this._view = undefined;
+
+		// position of the mouse set while the pointer was not locked yet, applied once it is:
+		this._pendingMousePos = undefined;
+
+		// buffer of mouse button presses and releases, so that clicks occurring between two frames are not lost:
+		// note: the buffer is capped at EventManager.MouseBufferSize events, since it is only emptied by the
+		//       experiments that check for clicks
+		this._mouseBuffer = [];
+
+		// listeners notified of every pointer movement, e.g. to record mouse trajectories:
+		this._moveListeners = [];
+
+		// touch info:
+		// note: touches (and pen contacts) are tracked by pointer id, so that simultaneous touches do not overwrite
+		//       each other, while the mouse info above only follows the primary pointer
+		this._activeTouches = new Map();
+		this._touchBuffer = [];
+
+		// devices without events, e.g. gamepads, which are polled once per frame:
+		this._polledDevices = [];
+
+		// recording and replay of the participant's input:
+		// note: the trace is undefined until the input is recorded, and the replay when none is taking place
+		this._recordingInput = false;
+		this._inputTrace = undefined;
+		this._replay = undefined;
+
+		// anchor relative to which the times of the input events are recorded and replayed, undefined while
+		// the experiment is not running routines, e.g. while the participant fills in the expInfo dialog:
+		this._inputAnchor = undefined;
 	}
 
 
@@ -57,18 +94,25 @@ export class EventManager {
 	 * 
 	 * <p>Note: The w3c [key-event viewer]{@link https://w3c.github.io/uievents/tools/key-event-viewer.html} can be used to see possible values for the items in the keyList given the user's keyboard and chosen layout. The "key" and "code" columns in the UI Events fields are the relevant values for the keyList argument.</p>
 	 * 
+	 * <p>By default, keys are identified by their physical location on the keyboard (W3C KeyboardEvent.code), whatever the keyboard layout, e.g. the key at the location of 'q' on a QWERTY keyboard is 'q' even on an AZERTY keyboard. With layoutAware, keys are identified by the character they produce given the participant's keyboard layout (W3C KeyboardEvent.key), e.g. 'a' for that same key on an AZERTY keyboard.</p>
+	 * 
 	 * @name module:core.EventManager#getKeys
 	 * @function
 	 * @public
 	 * @param {Object} options
 	 * @param {Array.string} [options.keyList= null] - keyList allows the user to specify a set of keys to check for. Only keypresses from this set of keys will be removed from the keyboard buffer. If no keyList is given, all keys will be checked and the key buffer will be cleared completely.
-	 * @param {boolean} [options.timeStamped= false] - If true will return a list of tuples instead of a list of keynames. Each tuple has (keyname, time).
-	 * @return {Array.string} the list of keys that were pressed.
+	 * @param {boolean} [options.timeStamped= false] - If true will return a list of tuples instead of a list of keynames. Each tuple has (keyname, time, handlerTime), where time is the time at which the key was pressed, given by the event's own timestamp, and handlerTime the time at which the event was handled, both on the monotonic clock (in seconds).
+	 * @param {boolean} [options.modifiers= false] - If true will return a list of tuples instead of a list of keynames. Each tuple has (keyname, modifiers) or, if timeStamped is also true, (keyname, modifiers, time, handlerTime), where modifiers gives the state of the modifier keys when the key was pressed: {shift, ctrl, alt, meta, capslock}.
+	 * @param {boolean} [options.layoutAware= false] - whether to identify keys by the character they produce given the keyboard layout rather than by their physical location.
+	 * @return {Array.string | Array.Array} the list of keys that were pressed.
 	 */
 	getKeys({
 		keyList = null,
-		timeStamped = false
+		timeStamped = false,
+		modifiers = false,
+		layoutAware = false
 	} = {}) {
+		const nameList = keyList;
 		if (keyList != null)
 			keyList = this._pyglet2w3c(keyList);
 
@@ -78,19 +122,31 @@ export class EventManager {
 			const key = this._keyBuffer[i];
 			let keyId = null;
 
-			if (keyList != null) {
-				let index = keyList.indexOf(key.code);
-				if (index < 0)
-					index = keyList.indexOf(EventManager._keycodeMap[key.keyCode]);
+			// note: old browsers do not support KeyboardEvent.code, so we fall back on the deprecated keyCode
+			const code = (typeof key.code === 'string' && key.code !== '') ? key.code : EventManager._keycodeMap[key.keyCode];
+
+			if (layoutAware) {
+				const keyName = EventManager._getLayoutAwareKeyName(key.key, code);
+				if (keyList == null || nameList.indexOf(keyName) > -1 || nameList.indexOf(key.key) > -1)
+					keyId = keyName;
+			}
+			else if (keyList != null) {
+				const index = keyList.indexOf(code);
 				if (index >= 0)
-					keyId = EventManager._reversePygletMap[keyList[index]];
+					keyId = (keyList[index] in EventManager._reversePygletMap) ? EventManager._reversePygletMap[keyList[index]] : keyList[index];
 			}
 			else
-				keyId = EventManager._reversePygletMap[key.code];
+				keyId = (code in EventManager._reversePygletMap) ? EventManager._reversePygletMap[code] : code;
 
 			if (keyId != null) {
-				if (timeStamped)
-					keys.push([keyId, key.timestamp]);
+				if (timeStamped || modifiers) {
+					let keyInfo = [keyId];
+					if (modifiers)
+						keyInfo.push({ ...key.modifiers });
+					if (timeStamped)
+						keyInfo.push(key.timestamp, key.handlerTimestamp);
+					keys.push(keyInfo);
+				}
 				else
 					keys.push(keyId);
 			}
@@ -114,7 +170,8 @@ export class EventManager {
 	 * @property {Array.number} pos - the position of the mouse [x, y]
 	 * @property {Array.number} wheelRel - the relative position of the wheel [x, y]
 	 * @property {EventManager.ButtonInfo} buttons - the mouse button info
-	 * @property {Clock} moveClock - the clock that is reset whenever the mouse moves
+	 * @property {Clock|undefined} moveClock - the clock that is reset whenever the mouse moves, or undefined if it has been stopped
+	 * @property {Array.number} movement - the total motion of the mouse accumulated while the pointer is locked [x, y] (in pixels, with y pointing downwards)
 	 */
 	/**
 	 * Get the mouse info.
@@ -130,7 +187,94 @@ export class EventManager {
 	
 
 	/**
-	 * Clear all events from the event buffer.
+	 * @typedef EventManager.MouseEvent
+	 * @property {EventManager.MouseEventType} type - whether the button was pressed or released
+	 * @property {number} button - the button: 0 for left, 1 for center, 2 for right
+	 * @property {Array.number} pos - the position of the mouse in the canvas [x, y] (in pixels, from the top-left corner)
+	 * @property {number} timestamp - the time at which the event occurred, on the monotonic clock (in seconds)
+	 * @property {number} time - the time elapsed between the last reset of the button's clock and the event (in seconds)
+	 */
+	/**
+	 * Get the mouse button presses and releases.
+	 *
+	 * @name module:core.EventManager#getMouseEvents
+	 * @function
+	 * @public
+	 * @param {Object} options
+	 * @param {Array.number} [options.buttons= [0, 1, 2]] - the buttons to check for (0: left, 1: center, 2: right)
+	 * @param {boolean} [options.clear= true] - whether or not to remove the returned events from the buffer
+	 * @return {Array.EventManager.MouseEvent} the events, in the order in which they occurred
+	 */
+	getMouseEvents({
+		buttons = [0, 1, 2],
+		clear = true
+	} = {}) {
+		const events = this._mouseBuffer.filter(event => buttons.indexOf(event.button) > -1);
+		if (clear)
+			this._mouseBuffer = this._mouseBuffer.filter(event => buttons.indexOf(event.button) === -1);
+
+		return events;
+	}
+
+
+	/**
+	 * @typedef EventManager.TouchInfo
+	 * @property {number} id - the pointer id of the touch
+	 * @property {string} pointerType - the type of pointer: 'touch' or 'pen'
+	 * @property {boolean} isPrimary - whether or not the touch is the primary pointer, i.e. the first of simultaneous touches
+	 * @property {Array.number} startPos - the position at which the touch started, in the canvas [x, y] (in pixels, from the top-left corner)
+	 * @property {Array.number} pos - the current position of the touch, or that at which it ended, in the canvas (in pixels, from the top-left corner)
+	 * @property {number} startTimestamp - the time at which the touch started, on the monotonic clock (in seconds)
+	 * @property {number} timestamp - the time of the last movement of the touch, or that at which it ended, on the monotonic clock (in seconds)
+	 */
+	/**
+	 * Get the touches currently in contact with the canvas.
+	 *
+	 * @name module:core.EventManager#getTouches
+	 * @function
+	 * @public
+	 * @return {Array.EventManager.TouchInfo} the active touches, in the order in which they started
+	 */
+	getTouches() {
+		return Array.from(this._activeTouches.values()).map(EventManager._copyTouchInfo);
+	}
+
+
+	/**
+	 * Get the touches that have ended, i.e. whose finger or pen has been lifted from the canvas.
+	 *
+	 * <p>Note: touches cancelled by the browser, e.g. when the device is rotated, are not included.</p>
+	 *
+	 * @name module:core.EventManager#getTouchEvents
+	 * @function
+	 * @public
+	 * @param {Object} options
+	 * @param {boolean} [options.clear= true] - whether or not to remove the returned touches from the buffer
+	 * @return {Array.EventManager.TouchInfo} the ended touches, in the order in which they ended
+	 */
+	getTouchEvents({ clear = true } = {}) {
+		const touches = this._touchBuffer;
+		if (clear)
+			this._touchBuffer = [];
+
+		return touches.map(EventManager._copyTouchInfo);
+	}
+
+
+	/**
+	 * Clear all the ended touches from the touch buffer.
+	 *
+	 * @name module:core.EventManager#clearTouchEvents
+	 * @function
+	 * @public
+	 */
+	clearTouchEvents() {
+		this._touchBuffer = [];
+	}
+
+
+	/**
+	 * Clear all events from the event buffers, i.e. the keys, the mouse button presses and releases, and the ended touches.
 	 * 
 	 * @name module:core.EventManager#clearEvents
 	 * @function
@@ -140,6 +284,20 @@ export class EventManager {
 	 */
 	clearEvents(attribs) {
 		this.clearKeys();
+		this.clearMouseEvents();
+		this.clearTouchEvents();
+	}
+
+
+	/**
+	 * Clear all mouse button presses and releases from the mouse buffer.
+	 *
+	 * @name module:core.EventManager#clearMouseEvents
+	 * @function
+	 * @public
+	 */
+	clearMouseEvents() {
+		this._mouseBuffer = [];
 	}
 
 
@@ -156,41 +314,407 @@ export class EventManager {
 
 
 	/**
-	 * Start the move clock.
+	 * @callback EventManager.MoveListener
+	 * @param {Array.number} pos - the position of the mouse in the canvas [x, y] (in pixels, from the top-left corner)
+	 * @param {number} timestamp - the time at which the movement occurred, on the monotonic clock (in seconds)
+	 */
+	/**
+	 * Add a listener notified of every movement of the mouse over the canvas.
+	 *
+	 * <p>Listeners are called at the native rate of the pointer events, rather than once per frame: when the browser
+	 * coalesces several movements into a single event, the listener is called for each of them, with its own timestamp.</p>
+	 *
+	 * @name module:core.EventManager#addMoveListener
+	 * @function
+	 * @public
+	 * @param {EventManager.MoveListener} listener - the listener
+	 */
+	addMoveListener(listener) {
+		if (this._moveListeners.indexOf(listener) === -1)
+			this._moveListeners.push(listener);
+	}
+
+
+	/**
+	 * Remove a listener previously added with [addMoveListener]{@link module:core.EventManager#addMoveListener}.
+	 *
+	 * @name module:core.EventManager#removeMoveListener
+	 * @function
+	 * @public
+	 * @param {EventManager.MoveListener} listener - the listener
+	 */
+	removeMoveListener(listener) {
+		this._moveListeners = this._moveListeners.filter(l => l !== listener);
+	}
+
+
+	/**
+	 * Add a device to be polled once per frame, e.g. a gamepad, whose state is not reported by events.
+	 *
+	 * @name module:core.EventManager#addPolledDevice
+	 * @function
+	 * @public
+	 * @param {Object} device - the device, which must implement poll
+	 */
+	addPolledDevice(device) {
+		if (this._polledDevices.indexOf(device) === -1)
+			this._polledDevices.push(device);
+	}
+
+
+	/**
+	 * Remove a device previously added with [addPolledDevice]{@link module:core.EventManager#addPolledDevice}.
+	 *
+	 * @name module:core.EventManager#removePolledDevice
+	 * @function
+	 * @public
+	 * @param {Object} device - the device
+	 */
+	removePolledDevice(device) {
+		this._polledDevices = this._polledDevices.filter(d => d !== device);
+	}
+
+
+	/**
+	 * Poll all the polled devices and, if an input trace is being replayed, dispatch the events that are due.
+	 *
+	 * <p>Note: this is called by the {@link Window} on each frame.</p>
+	 *
+	 * @name module:core.EventManager#pollDevices
+	 * @function
+	 * @public
+	 */
+	pollDevices() {
+		if (typeof this._replay !== 'undefined')
+			this._replayInputEvents();
+
+		for (const device of this._polledDevices)
+			device.poll();
+	}
+
+
+	/**
+	 * Start recording the participant's input, i.e. all the keyboard events, and all the pointer and wheel events
+	 * over the canvas, into an input trace.
+	 *
+	 * <p>The trace can later be replayed with [replayInput]{@link module:core.EventManager#replayInput}, e.g. to
+	 * reproduce an issue reported by a participant. It is saved alongside the results by the {@link ExperimentHandler}.</p>
+	 *
+	 * <p>Only the input given while the experiment is running routines is recorded, i.e. while there is an input
+	 * anchor (see [setInputAnchor]{@link module:core.EventManager#setInputAnchor}), so that, for instance, what the
+	 * participant types in the expInfo dialog is not.</p>
+	 *
+	 * @name module:core.EventManager#startInputRecording
+	 * @function
+	 * @public
+	 */
+	startInputRecording() {
+		if (this.isRecordingInput())
+			return;
+
+		this._recordingInput = true;
+		this._inputTrace = [];
+		this._psychoJS.logger.info('[PsychoJS] Start recording the participant\'s input.');
+	}
+
+
+	/**
+	 * Stop recording the participant's input.
+	 *
+	 * <p>Note: the events recorded so far remain available, until the recording is started again.</p>
+	 *
+	 * @name module:core.EventManager#stopInputRecording
+	 * @function
+	 * @public
+	 */
+	stopInputRecording() {
+		this._recordingInput = false;
+	}
+
+
+	/**
+	 * Determine whether the participant's input is being recorded.
+	 *
+	 * @name module:core.EventManager#isRecordingInput
+	 * @function
+	 * @public
+	 * @return {boolean} whether or not the input is being recorded
+	 */
+	isRecordingInput() {
+		return this._recordingInput;
+	}
+
+
+	/**
+	 * Set the anchor of the participant's input, i.e. the entry of the experiment and the time relative to which
+	 * the input events are recorded and replayed.
+	 *
+	 * <p>The anchor is set when the routines start, i.e. once the expInfo dialog, if any, has been closed, and at the
+	 * start of each new entry of the {@link ExperimentHandler}, so that a replay is not affected by the time taken to
+	 * download the resources or to fill in the dialog, and any difference in timing between the recorded and the
+	 * replayed runs is limited to the current entry.</p>
+	 *
+	 * @name module:core.EventManager#setInputAnchor
+	 * @function
+	 * @public
+	 * @param {number} entry - the index of the entry of the experiment
+	 */
+	setInputAnchor(entry) {
+		this._inputAnchor = { entry, time: this._psychoJS._monotonicClock.getTime() };
+	}
+
+
+	/**
+	 * Remove the anchor of the participant's input, e.g. while the expInfo dialog is open, so that the input
+	 * is neither recorded nor replayed until the next call to [setInputAnchor]{@link module:core.EventManager#setInputAnchor}.
+	 *
+	 * @name module:core.EventManager#clearInputAnchor
+	 * @function
+	 * @public
+	 */
+	clearInputAnchor() {
+		this._inputAnchor = undefined;
+	}
+
+
+	/**
+	 * @typedef EventManager.InputTrace
+	 * @property {number} version - the version of the trace format
+	 * @property {Array.number} canvasSize - the size of the canvas during the recording [width, height] (in pixels)
+	 * @property {Array.Object} events - the events, in chronological order, each with the index of the entry of the experiment during which it occurred, its time relative to the start of that entry (in seconds), its type, e.g. 'keydown' or 'pointermove', and the properties of the DOM event needed to replay it
+	 */
+	/**
+	 * Get the trace of the participant's input recorded so far.
+	 *
+	 * @name module:core.EventManager#getInputTrace
+	 * @function
+	 * @public
+	 * @return {EventManager.InputTrace|undefined} the trace, or undefined if the input has never been recorded
+	 */
+	getInputTrace() {
+		if (typeof this._inputTrace === 'undefined')
+			return undefined;
+
+		return {
+			version: EventManager.InputTraceVersion,
+			canvasSize: (typeof this._view !== 'undefined') ? [this._view.clientWidth, this._view.clientHeight] : undefined,
+			events: this._inputTrace.slice()
+		};
+	}
+
+
+	/**
+	 * Replay a trace of the participant's input, previously obtained with
+	 * [getInputTrace]{@link module:core.EventManager#getInputTrace}.
+	 *
+	 * <p>The events are dispatched to the document and the canvas, as synthetic DOM events, on the first frame
+	 * at which the replayed run has reached the entry and the time relative to the start of that entry at which they
+	 * were recorded, so that the run is reproduced to within a frame, provided that the random seeds of the experiment
+	 * are the same. Events of entries that the replayed run has already completed are dispatched straight away, with
+	 * a warning. The participant's own input is ignored until the replay is complete.</p>
+	 *
+	 * <p>Note: the text typed in the dialog boxes, e.g. the expInfo, is not replayed, since browsers do not insert
+	 * text in response to synthetic events.</p>
+	 *
+	 * @name module:core.EventManager#replayInput
+	 * @function
+	 * @public
+	 * @param {EventManager.InputTrace} trace - the input trace
+	 */
+	replayInput(trace) {
+		const response = { origin: 'EventManager.replayInput', context: 'when replaying the participant\'s input' };
+
+		if (typeof trace !== 'object' || trace === null || !Array.isArray(trace.events))
+			throw { ...response, error: 'the input trace should be an object with an array of events' };
+		if (trace.version !== EventManager.InputTraceVersion)
+			throw { ...response, error: 'unsupported input trace version: ' + util.toString(trace.version) };
+
+		if (typeof trace.canvasSize !== 'undefined' && typeof this._view !== 'undefined' &&
+			(trace.canvasSize[0] !== this._view.clientWidth || trace.canvasSize[1] !== this._view.clientHeight))
+			this._psychoJS.logger.warn('the input trace was recorded with a canvas of size ' + util.toString(trace.canvasSize) + ', the pointer positions will differ');
+
+		this.stopReplay();
+
+		// ignore the participant's own input, which could otherwise interfere with the replayed one:
+		// note: listeners on the window in the capture phase are called before all others
+		const blocker = event => {
+			if (event.isTrusted)
+				event.stopImmediatePropagation();
+		};
+		for (const type of EventManager._replayedEventTypes)
+			window.addEventListener(type, blocker, true);
+
+		this._replay = { events: trace.events, index: 0, blocker };
+		this._psychoJS.logger.info('[PsychoJS] Start replaying ' + trace.events.length + ' input events.');
+	}
+
+
+	/**
+	 * Stop the replay of an input trace, if one is taking place, and give the control back to the participant.
+	 *
+	 * @name module:core.EventManager#stopReplay
+	 * @function
+	 * @public
+	 */
+	stopReplay() {
+		if (!this.isReplayingInput())
+			return;
+
+		for (const type of EventManager._replayedEventTypes)
+			window.removeEventListener(type, this._replay.blocker, true);
+
+		this._psychoJS.logger.info('[PsychoJS] Stop replaying the input, after ' + this._replay.index + ' of ' + this._replay.events.length + ' events.');
+		this._replay = undefined;
+	}
+
+
+	/**
+	 * Determine whether an input trace is being replayed.
+	 *
+	 * @name module:core.EventManager#isReplayingInput
+	 * @function
+	 * @public
+	 * @return {boolean} whether or not an input trace is being replayed
+	 */
+	isReplayingInput() {
+		return (typeof this._replay !== 'undefined');
+	}
+
+
+	/**
+	 * Start the move clock, which is then reset whenever the mouse moves.
 	 * 
 	 * @name module:core.EventManager#startMoveClock
 	 * @function
 	 * @public
-	 * 
-	 * @todo not implemented
 	 */
 	startMoveClock() {
+		this._mouseInfo.moveClock = new Clock();
 	}
 
 
 	/**
 	 * Stop the move clock.
 	 * 
+	 * <p>Note: the time elapsed since the last mouse movement is then 0.</p>
+	 * 
 	 * @name module:core.EventManager#stopMoveClock
 	 * @function
 	 * @public
-	 * 
-	 * @todo not implemented
 	 */
 	stopMoveClock() {
+		this._mouseInfo.moveClock = undefined;
 	}
 
 
 	/**
-	 * Reset the move clock.
+	 * Reset the move clock, or start it if it has been stopped.
 	 * 
 	 * @name module:core.EventManager#resetMoveClock
 	 * @function
 	 * @public
-	 * 
-	 * @todo not implemented
 	 */
 	resetMoveClock() {
+		if (typeof this._mouseInfo.moveClock === 'undefined')
+			this.startMoveClock();
+		else
+			this._mouseInfo.moveClock.reset();
+	}
+
+
+	/**
+	 * Show or hide the mouse cursor when it is over the canvas.
+	 *
+	 * @name module:core.EventManager#setMouseVisibility
+	 * @function
+	 * @public
+	 * @param {boolean} visible - whether or not the cursor is visible
+	 */
+	setMouseVisibility(visible) {
+		if (typeof this._view !== 'undefined')
+			this._view.style.cursor = (visible) ? 'auto' : 'none';
+	}
+
+
+	/**
+	 * Set the position of the mouse.
+	 *
+	 * <p>Browsers do not let web pages move the cursor, so the position can only be set while the pointer is locked,
+	 * in which case the mouse moves a virtual cursor, from that position, and within the canvas.</p>
+	 *
+	 * <p>If the pointer is not locked, it is requested to be, and the position is only applied once it is, since the
+	 * movements of the cursor would otherwise overwrite it.</p>
+	 *
+	 * @name module:core.EventManager#setMousePos
+	 * @function
+	 * @public
+	 * @param {Array.number} pos - the position of the mouse in the canvas [x, y] (in pixels, from the top-left corner)
+	 */
+	setMousePos(pos) {
+		if (this.isPointerLocked()) {
+			this._mouseInfo.pos = this._clampToView(pos);
+			return;
+		}
+
+		this._pendingMousePos = pos.slice();
+		this.requestPointerLock();
+	}
+
+
+	/**
+	 * Lock the pointer to the canvas, i.e. hide the cursor and report the motion of the mouse, rather than the
+	 * position of the cursor, so that the mouse can move indefinitely without the cursor leaving the canvas.
+	 *
+	 * <p>Note: browsers only lock the pointer in response to a user gesture, e.g. a click or a key press, and unlock it
+	 * when the participant presses Escape.</p>
+	 *
+	 * @name module:core.EventManager#requestPointerLock
+	 * @function
+	 * @public
+	 */
+	requestPointerLock() {
+		if (typeof this._view === 'undefined' || this.isPointerLocked())
+			return;
+
+		if (typeof this._view.requestPointerLock !== 'function') {
+			this._psychoJS.logger.warn('pointer lock is not supported by this browser');
+			return;
+		}
+
+		// note: recent browsers return a promise, which is rejected when the pointer cannot be locked,
+		//       e.g. when the request is not made in response to a user gesture
+		const promise = this._view.requestPointerLock();
+		if (typeof promise !== 'undefined' && typeof promise.catch === 'function')
+			promise.catch(error => {
+				this._pendingMousePos = undefined;
+				this._psychoJS.logger.warn('the pointer could not be locked to the canvas: ' + util.toString(error));
+			});
+	}
+
+
+	/**
+	 * Unlock the pointer, if it is locked.
+	 *
+	 * @name module:core.EventManager#exitPointerLock
+	 * @function
+	 * @public
+	 */
+	exitPointerLock() {
+		if (this.isPointerLocked())
+			document.exitPointerLock();
+	}
+
+
+	/**
+	 * Determine whether the pointer is locked to the canvas.
+	 *
+	 * @name module:core.EventManager#isPointerLocked
+	 * @function
+	 * @public
+	 * @return {boolean} whether or not the pointer is locked
+	 */
+	isPointerLocked() {
+		return (typeof this._view !== 'undefined' && document.pointerLockElement === this._view);
 	}
 
 
@@ -206,27 +730,68 @@ export class EventManager {
 		let self = this;
 
 		const view = renderer.view;
+		this._view = view;
+
+		this._addInputRecorder(view, ['pointerdown', 'pointerup', 'pointercancel', 'pointermove', 'wheel']);
+
+		// prevent the browser from panning or zooming on touches, so that we receive all their pointer events:
+		view.style.touchAction = 'none';
 
 		view.addEventListener("pointerdown", event => {
+			self._startTouch(event);
+
+			// only the primary pointer, e.g. the first of several fingers, acts as the mouse:
+			if (!event.isPrimary)
+				return;
+
 			self._mouseInfo.buttons.pressed[event.button] = 1;
 			self._mouseInfo.buttons.times[event.button] = self._psychoJS._monotonicClock.getTime() - self._mouseInfo.buttons.clocks[event.button].getLastResetTime();
 
-			self._mouseInfo.pos = [event.offsetX, event.offsetY];
+			// note: the cursor does not move while the pointer is locked, in which case we keep the virtual position
+			if (!self.isPointerLocked())
+				self._mouseInfo.pos = [event.offsetX, event.offsetY];
+			self._addMouseEvent(event, EventManager.MouseEventType.PRESS);
 
 			//psychoJS.logging.data("Mouse: " + label + " button down, pos=(" + x + "," + y + ")");
 		}, false);
 
 		view.addEventListener("pointerup", event => {
+			self._endTouch(event, false);
+
+			if (!event.isPrimary)
+				return;
+
 			self._mouseInfo.buttons.pressed[event.button] = 0;
 			self._mouseInfo.buttons.times[event.button] = self._psychoJS._monotonicClock.getTime() - self._mouseInfo.buttons.clocks[event.button].getLastResetTime();
-			self._mouseInfo.pos = [event.offsetX, event.offsetY];
+			if (!self.isPointerLocked())
+				self._mouseInfo.pos = [event.offsetX, event.offsetY];
+			self._addMouseEvent(event, EventManager.MouseEventType.RELEASE);
 
 			//psychoJS.logging.data("Mouse: " + label + " button down, pos=(" + x + "," + y + ")");
 		}, false);
 
+		view.addEventListener("pointercancel", event => {
+			self._endTouch(event, true);
+		}, false);
+
 		view.addEventListener("pointermove", event => {
-			self._mouseInfo.pos = [event.offsetX, event.offsetY];
-			self._mouseInfo.moveClock.reset();
+			self._moveTouch(event);
+
+			if (!event.isPrimary)
+				return;
+
+			self._moveMouse(event);
+		}, false);
+
+		// apply the position set while the pointer was not locked yet, now that it is, or discard it if the lock failed:
+		document.addEventListener("pointerlockchange", () => {
+			if (self.isPointerLocked() && typeof self._pendingMousePos !== 'undefined')
+				self._mouseInfo.pos = self._clampToView(self._pendingMousePos);
+			self._pendingMousePos = undefined;
+		}, false);
+
+		document.addEventListener("pointerlockerror", () => {
+			self._pendingMousePos = undefined;
 		}, false);
 
 		view.addEventListener("wheel", event => {
@@ -241,6 +806,181 @@ export class EventManager {
 	}
 
 
+	/**
+	 * Add a mouse button press or release to the mouse buffer.
+	 *
+	 * @name module:core.EventManager#_addMouseEvent
+	 * @function
+	 * @private
+	 * @param {PointerEvent} event - the pointer event
+	 * @param {EventManager.MouseEventType} type - the type of event
+	 */
+	_addMouseEvent(event, type) {
+		// only the three main buttons are tracked:
+		if (event.button < 0 || event.button > 2)
+			return;
+
+		const { eventTime, dispatchDelay } = EventManager.getEventTimes(event);
+		const delay = (typeof dispatchDelay !== 'undefined') ? dispatchDelay : 0;
+
+		this._mouseBuffer.push({
+			type,
+			button: event.button,
+			pos: this._mouseInfo.pos.slice(),
+			timestamp: eventTime,
+			time: this._mouseInfo.buttons.times[event.button] - delay
+		});
+		if (this._mouseBuffer.length > EventManager.MouseBufferSize)
+			this._mouseBuffer.shift();
+	}
+
+
+	/**
+	 * Start tracking a touch.
+	 *
+	 * @name module:core.EventManager#_startTouch
+	 * @function
+	 * @private
+	 * @param {PointerEvent} event - the pointerdown event
+	 */
+	_startTouch(event) {
+		if (event.pointerType !== 'touch' && event.pointerType !== 'pen')
+			return;
+
+		const { eventTime } = EventManager.getEventTimes(event);
+		const pos = [event.offsetX, event.offsetY];
+		this._activeTouches.set(event.pointerId, {
+			id: event.pointerId,
+			pointerType: event.pointerType,
+			isPrimary: event.isPrimary,
+			startPos: pos,
+			pos: pos.slice(),
+			startTimestamp: eventTime,
+			timestamp: eventTime
+		});
+	}
+
+
+	/**
+	 * Update the position of a touch.
+	 *
+	 * @name module:core.EventManager#_moveTouch
+	 * @function
+	 * @private
+	 * @param {PointerEvent} event - the pointermove event
+	 */
+	_moveTouch(event) {
+		const touch = this._activeTouches.get(event.pointerId);
+		if (typeof touch === 'undefined')
+			return;
+
+		touch.pos = [event.offsetX, event.offsetY];
+		touch.timestamp = EventManager.getEventTimes(event).eventTime;
+	}
+
+
+	/**
+	 * Stop tracking a touch and, unless it was cancelled, add it to the touch buffer.
+	 *
+	 * @name module:core.EventManager#_endTouch
+	 * @function
+	 * @private
+	 * @param {PointerEvent} event - the pointerup or pointercancel event
+	 * @param {boolean} cancelled - whether or not the touch was cancelled by the browser
+	 */
+	_endTouch(event, cancelled) {
+		const touch = this._activeTouches.get(event.pointerId);
+		if (typeof touch === 'undefined')
+			return;
+		this._activeTouches.delete(event.pointerId);
+
+		if (cancelled)
+			return;
+
+		touch.pos = [event.offsetX, event.offsetY];
+		touch.timestamp = EventManager.getEventTimes(event).eventTime;
+		this._touchBuffer.push(touch);
+		if (this._touchBuffer.length > EventManager.TouchBufferSize)
+			this._touchBuffer.shift();
+	}
+
+
+	/**
+	 * Copy a touch info, so that it is not modified by subsequent events.
+	 *
+	 * @name module:core.EventManager._copyTouchInfo
+	 * @function
+	 * @static
+	 * @private
+	 * @param {EventManager.TouchInfo} touch - the touch info
+	 * @return {EventManager.TouchInfo} the copy
+	 */
+	static _copyTouchInfo(touch) {
+		return { ...touch, startPos: touch.startPos.slice(), pos: touch.pos.slice() };
+	}
+
+
+	/**
+	 * Update the mouse info with the movements contained in a pointermove event, and notify the move listeners.
+	 *
+	 * @name module:core.EventManager#_moveMouse
+	 * @function
+	 * @private
+	 * @param {PointerEvent} event - the pointermove event
+	 */
+	_moveMouse(event) {
+		// note: we only need the individual movements coalesced into the event when they are listened to,
+		//       and getCoalescedEvents is not available in all browsers, in which case we only have the dispatched event
+		let events = [];
+		if (this._moveListeners.length > 0 && typeof event.getCoalescedEvents === 'function')
+			events = event.getCoalescedEvents();
+		if (events.length === 0)
+			events = [event];
+
+		const locked = this.isPointerLocked();
+		for (const e of events) {
+			if (locked) {
+				// the cursor does not move while the pointer is locked, so we move the virtual cursor instead:
+				const pos = this._mouseInfo.pos;
+				this._mouseInfo.pos = this._clampToView([pos[0] + e.movementX, pos[1] + e.movementY]);
+				this._mouseInfo.movement[0] += e.movementX;
+				this._mouseInfo.movement[1] += e.movementY;
+			}
+			else
+				this._mouseInfo.pos = [e.offsetX, e.offsetY];
+
+			if (this._moveListeners.length > 0) {
+				const { eventTime } = EventManager.getEventTimes(e);
+				for (const listener of this._moveListeners)
+					listener(this._mouseInfo.pos.slice(), eventTime);
+			}
+		}
+
+		if (typeof this._mouseInfo.moveClock !== 'undefined')
+			this._mouseInfo.moveClock.reset();
+	}
+
+
+	/**
+	 * Clamp a position to the canvas.
+	 *
+	 * @name module:core.EventManager#_clampToView
+	 * @function
+	 * @private
+	 * @param {Array.number} pos - the position in the canvas [x, y] (in pixels, from the top-left corner)
+	 * @return {Array.number} the clamped position
+	 */
+	_clampToView(pos) {
+		if (typeof this._view === 'undefined')
+			return pos.slice();
+
+		return [
+			Math.min(Math.max(pos[0], 0), this._view.clientWidth),
+			Math.min(Math.max(pos[1], 0), this._view.clientHeight)
+		];
+	}
+
+
 	/**
 	 * Add key listeners to the document.
 	 * 
@@ -251,19 +991,255 @@ export class EventManager {
 	_addKeyListeners() {
 		let self = this;
 
+		this._addInputRecorder(document, ['keydown', 'keyup']);
+
 		// add a keydown listener:
 		document.addEventListener("keydown", (e) => {
+			const { eventTime, handlerTime, dispatchDelay } = EventManager.getEventTimes(e);
 			self._keyBuffer.push({
 				code: e.code,
 				key: e.key,
 				keyCode: e.keyCode,
-				timestamp: MonotonicClock.getReferenceTime() / 1000
+				timestamp: eventTime,
+				handlerTimestamp: handlerTime,
+				dispatchDelay,
+				modifiers: {
+					shift: e.shiftKey,
+					ctrl: e.ctrlKey,
+					alt: e.altKey,
+					meta: e.metaKey,
+					capslock: (typeof e.getModifierState === 'function') ? e.getModifierState('CapsLock') : false
+				}
 			});
 			self._psychoJS.logger.trace('keys pressed : ', util.toString(self._keyBuffer));
+
+			self._logDispatchDelay(e, dispatchDelay);
 		});
 	}
 
 
+	/**
+	 * Add listeners recording the given events into the input trace, while the input is being recorded.
+	 *
+	 * @name module:core.EventManager#_addInputRecorder
+	 * @function
+	 * @private
+	 * @param {EventTarget} target - the target of the events, e.g. the document
+	 * @param {Array.string} types - the types of events, e.g. ['keydown', 'keyup']
+	 */
+	_addInputRecorder(target, types) {
+		let self = this;
+
+		for (const type of types)
+			target.addEventListener(type, event => {
+				if (self.isRecordingInput() && typeof self._inputAnchor !== 'undefined')
+					self._recordInputEvent(event);
+			}, true);
+	}
+
+
+	/**
+	 * Add an event to the input trace.
+	 *
+	 * <p>The movements coalesced into a pointermove event are recorded as separate events, so that their replay
+	 * reproduces the mouse trajectory.</p>
+	 *
+	 * @name module:core.EventManager#_recordInputEvent
+	 * @function
+	 * @private
+	 * @param {Event} event - the event
+	 */
+	_recordInputEvent(event) {
+		let events = [];
+		if (event.type === 'pointermove' && typeof event.getCoalescedEvents === 'function')
+			events = event.getCoalescedEvents();
+		if (events.length === 0)
+			events = [event];
+
+		for (const e of events) {
+			// the time of the event relative to the anchor:
+			const { dispatchDelay } = EventManager.getEventTimes(e);
+			const time = this._psychoJS._monotonicClock.getTime() - ((typeof dispatchDelay !== 'undefined') ? dispatchDelay : 0) - this._inputAnchor.time;
+
+			let entry = { entry: this._inputAnchor.entry, time, type: event.type };
+			for (const property of EventManager._inputEventProperties[event.type])
+				entry[property] = e[property];
+			if (typeof e.getModifierState === 'function')
+				entry.capsLock = e.getModifierState('CapsLock');
+
+			this._inputTrace.push(entry);
+		}
+	}
+
+
+	/**
+	 * Dispatch the replayed events whose time has come, and stop the replay after the last one.
+	 *
+	 * @name module:core.EventManager#_replayInputEvents
+	 * @function
+	 * @private
+	 */
+	_replayInputEvents() {
+		// the replay waits for the routines to start:
+		const anchor = this._inputAnchor;
+		if (typeof anchor === 'undefined')
+			return;
+
+		const now = this._psychoJS._monotonicClock.getTime() - anchor.time;
+		const events = this._replay.events;
+
+		while (this._replay.index < events.length) {
+			const entry = events[this._replay.index];
+			if (entry.entry > anchor.entry || (entry.entry === anchor.entry && entry.time > now))
+				break;
+			++ this._replay.index;
+
+			if (entry.entry < anchor.entry)
+				this._psychoJS.logger.warn('the ' + entry.type + ' event of entry ' + entry.entry + ' is replayed late, during entry ' + anchor.entry);
+
+			try {
+				this._dispatchInputEvent(entry);
+			}
+			catch (error) {
+				this._psychoJS.logger.warn('unable to replay the ' + entry.type + ' event at time ' + entry.time + ': ' + util.toString(error));
+			}
+		}
+
+		if (this._replay.index >= events.length)
+			this.stopReplay();
+	}
+
+
+	/**
+	 * Dispatch a recorded event as a synthetic DOM event.
+	 *
+	 * @name module:core.EventManager#_dispatchInputEvent
+	 * @function
+	 * @private
+	 * @param {Object} entry - the recorded event
+	 */
+	_dispatchInputEvent(entry) {
+		const init = {
+			bubbles: true,
+			cancelable: true,
+			shiftKey: entry.shiftKey,
+			ctrlKey: entry.ctrlKey,
+			altKey: entry.altKey,
+			metaKey: entry.metaKey,
+			modifierCapsLock: entry.capsLock
+		};
+
+		if (entry.type === 'keydown' || entry.type === 'keyup') {
+			const event = new KeyboardEvent(entry.type, { ...init, code: entry.code, key: entry.key, repeat: entry.repeat });
+
+			// note: keyCode cannot be given to the KeyboardEvent constructor, but is used by old browsers
+			Object.defineProperty(event, 'keyCode', { get: () => entry.keyCode });
+
+			document.dispatchEvent(event);
+			return;
+		}
+
+		if (typeof this._view === 'undefined')
+			throw 'there is no canvas to dispatch pointer events to';
+
+		// the positions are recorded relative to the canvas, whereas events are created with positions in the viewport:
+		const rect = this._view.getBoundingClientRect();
+		init.clientX = rect.left + entry.offsetX;
+		init.clientY = rect.top + entry.offsetY;
+
+		let event;
+		if (entry.type === 'wheel')
+			event = new WheelEvent(entry.type, { ...init, deltaX: entry.deltaX, deltaY: entry.deltaY, deltaZ: entry.deltaZ, deltaMode: entry.deltaMode });
+		else
+			event = new PointerEvent(entry.type, {
+				...init,
+				pointerId: entry.pointerId,
+				pointerType: entry.pointerType,
+				isPrimary: entry.isPrimary,
+				button: entry.button,
+				buttons: entry.buttons,
+				movementX: entry.movementX,
+				movementY: entry.movementY
+			});
+
+		this._view.dispatchEvent(event);
+	}
+
+
+	/**
+	 * Log a warning if an event was handled long after it occurred.
+	 *
+	 * @name module:core.EventManager#_logDispatchDelay
+	 * @function
+	 * @protected
+	 * @param {Event} event - the event
+	 * @param {number|undefined} dispatchDelay - the delay between the occurrence of the event and its handling (in seconds)
+	 */
+	_logDispatchDelay(event, dispatchDelay) {
+		if (typeof dispatchDelay !== 'undefined' && dispatchDelay > EventManager.DispatchDelayWarningThreshold)
+			this._psychoJS.logger.warn('the ' + event.type + ' event (' + event.code + ') was handled ' + (dispatchDelay * 1000).toFixed(1) + ' ms after it occurred');
+	}
+
+
+	/**
+	 * @typedef EventManager.EventTimes
+	 * @property {number} eventTime - the time at which the event occurred, on the monotonic clock (in seconds)
+	 * @property {number} handlerTime - the time at which the event is handled, on the monotonic clock (in seconds)
+	 * @property {number|undefined} dispatchDelay - the delay between the two (in seconds), or undefined if the browser does not provide a high-resolution event timestamp
+	 */
+	/**
+	 * Get the time at which an event occurred, from its own high-resolution timestamp, and the time at which it is handled.
+	 *
+	 * <p>The event's timestamp is on the performance timeline, so we measure the delay between the event and its
+	 * handling on that timeline and subtract it from the current time on the monotonic clock. That delay is due to
+	 * the browser's event loop, e.g. when a frame is being rendered.</p>
+	 *
+	 * @name module:core.EventManager.getEventTimes
+	 * @function
+	 * @static
+	 * @public
+	 * @param {Event} event - the event, which must be handled synchronously
+	 * @return {EventManager.EventTimes} the times
+	 */
+	static getEventTimes(event) {
+		const handlerTime = MonotonicClock.getReferenceTime() / 1000;
+
+		// note: old browsers give timestamps relative to the epoch, or no timestamp at all, in which case we only have the handler time
+		const dispatchDelay = (performance.now() - event.timeStamp) / 1000;
+		if (typeof event.timeStamp !== 'number' || !isFinite(dispatchDelay) || dispatchDelay < 0 || dispatchDelay > EventManager.MaxDispatchDelay)
+			return { eventTime: handlerTime, handlerTime, dispatchDelay: undefined };
+
+		return { eventTime: handlerTime - dispatchDelay, handlerTime, dispatchDelay };
+	}
+
+
+
+	/**
+	 * Get the name of a key given the keyboard layout.
+	 *
+	 * <p>Characters are reported in lower case, or by their pyglet names for punctuation (e.g. 'comma'), while
+	 * other keys, such as the arrows or the function keys, are reported by the pyglet names of their codes.</p>
+	 *
+	 * @name module:core.EventManager._getLayoutAwareKeyName
+	 * @function
+	 * @static
+	 * @private
+	 * @param {string} key - the W3C KeyboardEvent.key
+	 * @param {string} code - the W3C KeyboardEvent.code
+	 * @return {string} the name of the key
+	 */
+	static _getLayoutAwareKeyName(key, code) {
+		if (typeof key === 'string' && key.length === 1) {
+			if (key in EventManager._characterMap)
+				return EventManager._characterMap[key];
+			return key.toLowerCase();
+		}
+
+		if (code in EventManager._reversePygletMap)
+			return EventManager._reversePygletMap[code];
+		return key;
+	}
+
 
 	/**
 	 * Convert a keylist that uses pyglet key names to one that uses W3C KeyboardEvent.code values.
@@ -289,10 +1265,116 @@ export class EventManager {
 }
 
 
+/**
+ * EventManager mouse event type
+ *
+ * @enum {Symbol}
+ * @readonly
+ * @public
+ */
+EventManager.MouseEventType = {
+	PRESS: Symbol.for('PRESS'),
+	RELEASE: Symbol.for('RELEASE')
+};
+
+
+/**
+ * <p>Version of the format of the input traces.</p>
+ *
+ * @name module:core.EventManager.InputTraceVersion
+ * @type {number}
+ * @public
+ */
+EventManager.InputTraceVersion = 2;
+
+
+/**
+ * <p>The properties of the DOM events recorded in the input traces, by type of event.</p>
+ *
+ * @name module:core.EventManager._inputEventProperties
+ * @readonly
+ * @private
+ * @type {Object.<string,Array.string>}
+ */
+EventManager._inputEventProperties = (() => {
+	const modifiers = ['shiftKey', 'ctrlKey', 'altKey', 'metaKey'];
+	const key = ['code', 'key', 'keyCode', 'repeat', ...modifiers];
+	const pointer = ['pointerId', 'pointerType', 'isPrimary', 'button', 'buttons', 'offsetX', 'offsetY', 'movementX', 'movementY', ...modifiers];
+	const wheel = ['deltaX', 'deltaY', 'deltaZ', 'deltaMode', 'offsetX', 'offsetY', ...modifiers];
+
+	return {
+		keydown: key,
+		keyup: key,
+		pointerdown: pointer,
+		pointerup: pointer,
+		pointercancel: pointer,
+		pointermove: pointer,
+		wheel
+	};
+})();
+
+
+/**
+ * <p>The types of the DOM events replayed from input traces, whose trusted counterparts are ignored during a replay.</p>
+ *
+ * @name module:core.EventManager._replayedEventTypes
+ * @readonly
+ * @private
+ * @type {Array.string}
+ */
+EventManager._replayedEventTypes = Object.keys(EventManager._inputEventProperties);
+
+
+/**
+ * <p>Delay between the occurrence of an event and its handling (in seconds) above which a warning is logged.</p>
+ *
+ * @name module:core.EventManager.DispatchDelayWarningThreshold
+ * @type {number}
+ * @public
+ */
+EventManager.DispatchDelayWarningThreshold = 0.01;
+
+
+/**
+ * <p>Delay between the occurrence of an event and its handling (in seconds) above which the event's timestamp is
+ * considered unreliable, e.g. because it is not on the performance timeline.</p>
+ *
+ * @name module:core.EventManager.MaxDispatchDelay
+ * @type {number}
+ * @readonly
+ * @private
+ */
+EventManager.MaxDispatchDelay = 10.0;
+
+
+/**
+ * <p>Maximum number of mouse button presses and releases kept in the buffer, beyond which the oldest ones
+ * are dropped.</p>
+ *
+ * @name module:core.EventManager.MouseBufferSize
+ * @type {number}
+ * @public
+ */
+EventManager.MouseBufferSize = 10000;
+
+
+/**
+ * <p>Maximum number of ended touches kept in the buffer, beyond which the oldest ones are dropped.</p>
+ *
+ * @name module:core.EventManager.TouchBufferSize
+ * @type {number}
+ * @public
+ */
+EventManager.TouchBufferSize = 10000;
+
+
 /**
  * <p>This map provides support for browsers that have not yet
  * adopted the W3C KeyboardEvent.code standard for detecting key presses.
  * It maps the deprecated KeyboardEvent.keycode values to the W3C UI event codes.</p>
+ *
+ * <p>Note: keyCode does not distinguish between the left and right modifier keys, or between the Enter
+ * and NumpadEnter keys, so we map those to the left and main keys.</p>
  * 
  * @name module:core.EventManager#_keycodeMap
  * @readonly
@@ -300,6 +1382,29 @@ export class EventManager {
  * @type {Object.<number,String>}
  */
 EventManager._keycodeMap = {
+	8: "Backspace",
+	9: "Tab",
+	12: "NumpadEqual",
+	13: "Enter",
+	16: "ShiftLeft",
+	17: "ControlLeft",
+	18: "AltLeft",
+	19: "Pause",
+	20: "CapsLock",
+	27: "Escape",
+	32: "Space",
+	33: "PageUp",
+	34: "PageDown",
+	35: "End",
+	36: "Home",
+	37: "ArrowLeft",
+	38: "ArrowUp",
+	39: "ArrowRight",
+	40: "ArrowDown",
+	44: "PrintScreen",
+	45: "Insert",
+	46: "Delete",
+	48: "Digit0",
 	49: "Digit1",
 	50: "Digit2",
 	51: "Digit3",
@@ -309,7 +1414,6 @@ EventManager._keycodeMap = {
 	55: "Digit7",
 	56: "Digit8",
 	57: "Digit9",
-	48: "Digit0",
 	65: "KeyA",
 	66: "KeyB",
 	67: "KeyC",
@@ -336,17 +1440,9 @@ EventManager._keycodeMap = {
 	88: "KeyX",
 	89: "KeyY",
 	90: "KeyZ",
-	188: "Comma",
-	190: "Period",
-	186: "Semicolon",
-	222: "Quote",
-	219: "BracketLeft",
-	221: "BracketRight",
-	192: "Backquote",
-	220: "Backslash",
-	189: "Minus",
-	187: "Equal",
-	144: "NumLock",
+	91: "MetaLeft",
+	92: "MetaRight",
+	93: "ContextMenu",
 	96: "Numpad0",
 	97: "Numpad1",
 	98: "Numpad2",
@@ -357,22 +1453,38 @@ EventManager._keycodeMap = {
 	103: "Numpad7",
 	104: "Numpad8",
 	105: "Numpad9",
+	106: "NumpadMultiply",
 	107: "NumpadAdd",
-	194: "NumpadComma",
-	194: "NumpadComma",
-	110: "NumpadDecimal",
+	109: "NumpadSubtract",
 	110: "NumpadDecimal",
 	111: "NumpadDivide",
-	13: "NumpadEnter",
-	12: "NumpadEqual",
-	106: "NumpadMultiply",
-	109: "NumpadSubtract",
-	37: "ArrowLeft",
-	38: "ArrowUp",
-	39: "ArrowRight",
-	40: "ArrowDown",
-	27: "Escape",
-	32: "Space"
+	112: "F1",
+	113: "F2",
+	114: "F3",
+	115: "F4",
+	116: "F5",
+	117: "F6",
+	118: "F7",
+	119: "F8",
+	120: "F9",
+	121: "F10",
+	122: "F11",
+	123: "F12",
+	144: "NumLock",
+	145: "ScrollLock",
+	186: "Semicolon",
+	187: "Equal",
+	188: "Comma",
+	189: "Minus",
+	190: "Period",
+	191: "Slash",
+	192: "Backquote",
+	194: "NumpadComma",
+	219: "BracketLeft",
+	220: "Backslash",
+	221: "BracketRight",
+	222: "Quote",
+	226: "IntlBackslash"
 };
 
 
@@ -449,6 +1561,40 @@ EventManager._pygletMap = {
 	"rshift": "ShiftRight",
 	"space": "Space",
 	"tab": "Tab",
+	"lctrl": "ControlLeft",
+	"rctrl": "ControlRight",
+	"lalt": "AltLeft",
+	"ralt": "AltRight",
+	"lwindows": "MetaLeft",
+	"rwindows": "MetaRight",
+	"lmeta": "MetaLeft",
+	"rmeta": "MetaRight",
+	"menu": "ContextMenu",
+
+	// function keys
+	"f1": "F1",
+	"f2": "F2",
+	"f3": "F3",
+	"f4": "F4",
+	"f5": "F5",
+	"f6": "F6",
+	"f7": "F7",
+	"f8": "F8",
+	"f9": "F9",
+	"f10": "F10",
+	"f11": "F11",
+	"f12": "F12",
+
+	// control pad
+	"print": "PrintScreen",
+	"scrolllock": "ScrollLock",
+	"pause": "Pause",
+	"insert": "Insert",
+	"delete": "Delete",
+	"home": "Home",
+	"end": "End",
+	"pageup": "PageUp",
+	"pagedown": "PageDown",
 
 	// arrowpad
 	"down": "ArrowDown",
@@ -474,12 +1620,17 @@ EventManager._pygletMap = {
 	"num_multiply": "NumpadMultiply",
 	"num_divide": "NumpadDivide",
 	"num_equal": "NumpadEqual",
-	"num_numlock": "NumpadNumlock"
+	"num_numlock": "NumLock",
+	"num_comma": "NumpadComma",
+
+	// international keys
+	"intlbackslash": "IntlBackslash"
 };
 
 
 /**
  * <p>This map associates W3C KeyboardEvent.codes to the corresponding pyglet key names.
+ * When several pyglet names correspond to the same code (e.g. 'lcommand' and 'lwindows'), the first one is used.</p>
  * 
  * @name module:core.EventManager#_reversePygletMap
  * @readonly
@@ -489,6 +1640,30 @@ EventManager._pygletMap = {
 EventManager._reversePygletMap = {};
 
 
+/**
+ * <p>This map associates characters to the corresponding pyglet key names, for layout aware key names.</p>
+ *
+ * @name module:core.EventManager#_characterMap
+ * @readonly
+ * @private
+ * @type {Object.<String,String>}
+ */
+EventManager._characterMap = {
+	"`": "grave",
+	"\\": "backslash",
+	"[": "bracketleft",
+	"]": "bracketright",
+	",": "comma",
+	"=": "equal",
+	"-": "minus",
+	".": "period",
+	"'": "apostrophe",
+	";": "semicolon",
+	"/": "slash",
+	" ": "space"
+};
+
+
 /**
  * @class
  * Utility class used by the experiment scripts to keep track of a clock and of the current status (whether or not we are currently checking the keyboard)
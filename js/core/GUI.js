@@ -50,6 +50,8 @@ export class GUI
 	 * psychoJS.schedule(psychoJS.gui.DlgFromDict({dictionary: expInfo, title: expName}));</code>
 	 * <p>If the participant cancels (by pressing Cancel or by closing the dialog box), then
 	 * the dictionary remains unchanged.</p>
+	 * <p>If the experiment is resumable and the participant has an interrupted session, the participant is
+	 * offered to resume it after pressing OK (see [offerToResume]{@link module:core.GUI#offerToResume}).</p>
 	 * 
 	 * @name module:core.GUI#DlgFromDict
 	 * @function
@@ -82,6 +84,9 @@ export class GUI
 			if (t >= 0.0 && self._dialogComponent.status === PsychoJS.Status.NOT_STARTED) {
 				self._dialogComponent.tStart = t;
 				self._dialogComponent.status = PsychoJS.Status.STARTED;
+
+				// the participant's input in the dialog is neither recorded nor replayed:
+				self._psychoJS.eventManager.clearInputAnchor();
 				
 				// prepare jquery UI dialog box:
 				let htmlCode = 
@@ -132,8 +137,21 @@ export class GUI
 								}
 								
 								self._dialogComponent.button = 'OK';
+
+								// offer to resume the interrupted session of the participant, if any:
+								// note: the dialog component only finishes once the participant has made a choice
+								const snapshot = self._psychoJS.getSnapshot();
+								if (typeof snapshot !== 'undefined')
+									self._dialogComponent.resumeChoicePending = true;
+
 								$("#expDialog").dialog( "close" );
 
+								if (typeof snapshot !== 'undefined')
+									self._showResumeDialog(snapshot, () => {
+										self._dialogComponent.resumeChoicePending = false;
+										self._dialogComponent.status = PsychoJS.Status.FINISHED;
+									});
+
 								// switch to full screen if requested:
 								self._psychoJS.window.adjustScreenSize();
 							}
@@ -150,7 +168,8 @@ export class GUI
 					// close is called by both buttons and when the user clicks on the cross:
 					close : function() {
 						//$.unblockUI();
-						self._dialogComponent.status = PsychoJS.Status.FINISHED;
+						if (!self._dialogComponent.resumeChoicePending)
+							self._dialogComponent.status = PsychoJS.Status.FINISHED;
 					}
 				})
 				// change colour of title bar
@@ -166,8 +185,13 @@ export class GUI
 				$("#progressbar").progressbar("option", "max", self._progressBarMax);
 			}
 
-			if (self._dialogComponent.status === PsychoJS.Status.FINISHED)
+			if (self._dialogComponent.status === PsychoJS.Status.FINISHED) {
+				// the routines start:
+				const experiment = self._psychoJS.experiment;
+				self._psychoJS.eventManager.setInputAnchor((typeof experiment !== 'undefined') ? experiment.nbEntries : 0);
+
 				return Scheduler.Event.NEXT;
+			}
 			else
 				return Scheduler.Event.FLIP_REPEAT;
 		}
@@ -176,6 +200,77 @@ export class GUI
 	}
 
 
+	/**
+	 * Offer the participant to resume their interrupted session, if any.
+	 *
+	 * <p>[DlgFromDict]{@link module:core.GUI#DlgFromDict} already makes that offer. This is for resumable experiments
+	 * that do not open a DlgFromDict, e.g. those where the participant is given in the URL:</p>
+	 * <code>psychoJS.schedule(psychoJS.gui.offerToResume());</code>
+	 * <p>The routines start once the participant has made a choice, or straight away if there is no interrupted
+	 * session.</p>
+	 *
+	 * @name module:core.GUI#offerToResume
+	 * @function
+	 * @public
+	 * @return {function(): Scheduler.Event} the scheduler task
+	 */
+	offerToResume() {
+		let status = PsychoJS.Status.NOT_STARTED;
+
+		let self = this;
+		let loop = () => {
+			if (status === PsychoJS.Status.NOT_STARTED) {
+				const snapshot = self._psychoJS.getSnapshot();
+				if (typeof snapshot === 'undefined')
+					return Scheduler.Event.NEXT;
+
+				// the participant's input in the dialog is neither recorded nor replayed:
+				self._psychoJS.eventManager.clearInputAnchor();
+
+				status = PsychoJS.Status.STARTED;
+				self._showResumeDialog(snapshot, () => { status = PsychoJS.Status.FINISHED; });
+			}
+
+			if (status === PsychoJS.Status.FINISHED) {
+				// the routines start:
+				self._psychoJS.eventManager.setInputAnchor(self._psychoJS.experiment.nbEntries);
+
+				return Scheduler.Event.NEXT;
+			}
+			else
+				return Scheduler.Event.FLIP_REPEAT;
+		};
+
+		return loop;
+	}
+
+
+	/**
+	 * Ask the participant whether to resume their interrupted session or to start again.
+	 *
+	 * @name module:core.GUI#_showResumeDialog
+	 * @function
+	 * @private
+	 * @param {Object} snapshot - the snapshot of the interrupted session
+	 * @param {function()} onChoice - function called once the participant has made a choice, and the session has been resumed, if need be
+	 */
+	_showResumeDialog(snapshot, onChoice) {
+		const self = this;
+
+		this.dialog({
+			message: 'Your previous session, on ' + snapshot.date + ', was interrupted.<br/><br/>Press OK to resume it where you left off, or Cancel to start again.',
+			onOK: () => {
+				self._psychoJS.resume(snapshot);
+				onChoice();
+			},
+			onCancel: () => {
+				self._psychoJS.clearSnapshot();
+				onChoice();
+			}
+		});
+	}
+
+
 	/**
 	 * Listener for resource event from the [Server Manager]{@link ServerManager}.
 	 * 
@@ -230,6 +325,12 @@ export class GUI
 	/**
 	 * @callback GUI.onOK
 	 */
+	/**
+	 * @callback GUI.onCancel
+	 */
+	/**
+	 * @callback GUI.onDownload
+	 */
 	/**
 	 * Show a message to the participant in a dialog box.
 	 * 
@@ -244,13 +345,17 @@ export class GUI
 	 * @param {string} options.warning - a warning message
 	 * @param {boolean} [options.showOK=true] - specifies whether to show the OK button
 	 * @param {GUI.onOK} [options.onOK] - function called when the participant presses the OK button
+	 * @param {GUI.onCancel} [options.onCancel] - if given, a Cancel button is shown, and this function is called when the participant presses it
+	 * @param {GUI.onDownload} [options.onDownload] - if given, a Download button is shown, e.g. for the participant to download the results when they could not be uploaded, and this function is called when the participant presses it
 	 */
 	dialog({
 		message,
 		warning,
 		error,
 		showOK = true,
-		onOK
+		onOK,
+		onCancel,
+		onDownload
 	} = {}) {
 		// destroy previous dialog box:
 		this.destroyDialog();
@@ -275,7 +380,10 @@ export class GUI
 			}
 			htmlCode += '</ul>';
 
-			htmlCode += '<p>Try to run the experiment again. If the error persists, contact the experimenter.</p>';
+			if (typeof onDownload !== 'undefined')
+				htmlCode += '<p>Your data could not be saved. Please press Download to save them on your computer and send them to the experimenter.</p>';
+			else
+				htmlCode += '<p>Try to run the experiment again. If the error persists, contact the experimenter.</p>';
 			var titleColour = 'red';
 		}
 
@@ -302,21 +410,43 @@ export class GUI
 		// change colour of title bar
 		.prev(".ui-dialog-titlebar").css("background", titleColour);
 		
-		// add OK button if need be:
+		// add OK and Download buttons if need be:
+		let buttons = [];
 		if (showOK) {
-			$("#msgDialog").dialog("option", "buttons", [
-				{
-					id: "buttonOk",
-					text: "Ok",
-					click: function() {
-						$(this).dialog("close");
-						
-						// execute callback function:
-						if (typeof onOK !== 'undefined')
-							onOK();
-					}
-				}]);
+			buttons.push({
+				id: "buttonOk",
+				text: "Ok",
+				click: function() {
+					$(this).dialog("close");
+
+					// execute callback function:
+					if (typeof onOK !== 'undefined')
+						onOK();
+				}
+			});
+		}
+		if (typeof onCancel !== 'undefined') {
+			buttons.push({
+				id: "buttonCancel",
+				text: "Cancel",
+				click: function() {
+					$(this).dialog("close");
+					onCancel();
+				}
+			});
+		}
+		if (typeof onDownload !== 'undefined') {
+			// note: the dialog box stays open so that the participant can download the data again
+			buttons.push({
+				id: "buttonDownload",
+				text: "Download",
+				click: function() {
+					onDownload();
+				}
+			});
 		}
+		if (buttons.length > 0)
+			$("#msgDialog").dialog("option", "buttons", buttons);
 
 		// show dialog box:
 		$("#msgDialog").dialog("open");
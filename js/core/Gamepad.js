@@ -0,0 +1,314 @@
+/**
+ * @file Manager handling the interactions between the experiment and a gamepad.
+ *
+ * @author Alain Pitiot
+ * @version 3.0.0b11
+ * @copyright (c) 2018 Ilixa Ltd. ({@link http://ilixa.com})
+ * @license Distributed under the terms of the MIT License
+ */
+
+import { PsychObject } from '../util/PsychObject';
+import { EventManager } from './EventManager';
+import * as util from '../util/Util';
+
+
+/**
+ * <p>This manager handles the interactions between the experiment and a gamepad, or game controller, through the
+ * browser's [Gamepad API]{@link https://w3c.github.io/gamepad/}.</p>
+ *
+ * <p>The Gamepad API does not raise events when buttons are pressed, so the gamepad is polled once per frame, when
+ * the {@link Window} is rendered, and the pressing and releasing of buttons are buffered, to be retrieved with
+ * [getButtons]{@link module:core.Gamepad#getButtons}, in the same way as keys with
+ * [EventManager.getKeys]{@link module:core.EventManager#getKeys}. The timestamps of the presses are those at which
+ * the browser last updated the gamepad, and are therefore precise to within the polling interval at best.</p>
+ *
+ * <p>Buttons are identified by their index or, for gamepads with the standard mapping, by their name, e.g. 'a',
+ * 'start' or 'dpad_left' (see {@link Gamepad._standardButtonNames}).</p>
+ *
+ * @name module:core.Gamepad
+ * @class
+ * @extends PsychObject
+ * @param {Object} options
+ * @param {PsychoJS} options.psychoJS - the PsychoJS instance
+ * @param {number} [options.index= 0] - the index of the gamepad, amongst those connected to the computer
+ * @param {number} [options.deadZone= 0.1] - the absolute value of the axes below which they are reported as 0, to compensate for the drift of the sticks
+ * @param {number} [options.bufferSize= 10000] - the maximum size of the buffer of button presses and releases
+ * @param {Object} [options.navigator= window.navigator] - the object providing getGamepads, which can be replaced by a mock for testing purposes
+ * @param {boolean} [options.autoLog= false] - whether or not to log
+ */
+export class Gamepad extends PsychObject {
+
+	constructor({
+		psychoJS,
+		index = 0,
+		deadZone = 0.1,
+		bufferSize = 10000,
+		navigator = window.navigator,
+		autoLog = false
+	} = {}) {
+		super(psychoJS);
+
+		this._addAttributes(Gamepad, index, deadZone, bufferSize, autoLog);
+		this._navigator = navigator;
+
+		// state of the gamepad at the last poll, and buffer of the button presses and releases:
+		this._connected = false;
+		this._mapping = '';
+		this._pressed = [];
+		this._axes = [];
+		this._buffer = [];
+
+		if (typeof this._navigator.getGamepads !== 'function')
+			this._psychoJS.logger.warn('the Gamepad API is not supported by this browser');
+
+		this._psychoJS.eventManager.addPolledDevice(this);
+	}
+
+
+	/**
+	 * Poll the gamepad and buffer the buttons that have been pressed or released since the last poll.
+	 *
+	 * <p>Note: this is called by the {@link EventManager} on each frame, and need not be called by the experiment.</p>
+	 *
+	 * @name module:core.Gamepad#poll
+	 * @function
+	 * @public
+	 */
+	poll() {
+		const gamepad = this._getGamepad();
+
+		const connected = (typeof gamepad !== 'undefined');
+		if (connected !== this._connected) {
+			this._connected = connected;
+			this._psychoJS.logger.info('[PsychoJS] Gamepad ' + this.index + ((connected) ? ' connected: ' + gamepad.id : ' disconnected.'));
+
+			// buttons held down when the gamepad is disconnected are deemed released:
+			if (!connected)
+				this._pressed = [];
+		}
+		if (!connected)
+			return;
+
+		this._mapping = gamepad.mapping;
+		this._axes = Array.from(gamepad.axes);
+
+		// note: gamepad.timestamp is the time of the last update of the gamepad's state, on the performance timeline
+		const { eventTime, handlerTime } = EventManager.getEventTimes({ timeStamp: gamepad.timestamp });
+
+		for (let b = 0; b < gamepad.buttons.length; ++b) {
+			const button = gamepad.buttons[b];
+			const pressed = (typeof button === 'object') ? button.pressed : (button === 1.0);
+			const wasPressed = (this._pressed[b] === true);
+			this._pressed[b] = pressed;
+
+			if (pressed === wasPressed)
+				continue;
+
+			this._buffer.push({
+				button: b,
+				pressed,
+				value: (typeof button === 'object') ? button.value : button,
+				timestamp: eventTime,
+				handlerTimestamp: handlerTime
+			});
+			if (this._buffer.length > this.bufferSize)
+				this._buffer.shift();
+
+			if (this.autoLog)
+				this._psychoJS.logger.trace('gamepad button ' + ((pressed) ? 'pressed: ' : 'released: '), this._getButtonId(b));
+		}
+	}
+
+
+	/**
+	 * Get the list of buttons pressed, and optionally released, by the participant since the last call to
+	 * getButtons or [clearEvents]{@link module:core.Gamepad#clearEvents}.
+	 *
+	 * @name module:core.Gamepad#getButtons
+	 * @function
+	 * @public
+	 * @param {Object} options
+	 * @param {Array.<string|number>} [options.buttonList= null] - the buttons to check for, by name or index. Only the presses and releases of those buttons are removed from the buffer. If no buttonList is given, all buttons are checked and the buffer is cleared completely.
+	 * @param {boolean} [options.timeStamped= false] - If true will return a list of tuples instead of a list of buttons. Each tuple has (button, time, handlerTime), where time is the time at which the gamepad was last updated by the browser, and handlerTime the time at which it was polled, both on the monotonic clock (in seconds).
+	 * @param {boolean} [options.releases= false] - If true will also return the releasing of buttons, and a list of tuples instead of a list of buttons. Each tuple has (button, pressed) or, if timeStamped is also true, (button, pressed, time, handlerTime), where pressed is true for a press and false for a release.
+	 * @return {Array.<string|number> | Array.Array} the list of buttons that were pressed.
+	 */
+	getButtons({
+		buttonList = null,
+		timeStamped = false,
+		releases = false
+	} = {}) {
+		const indexList = (buttonList != null) ? buttonList.map(button => this._getButtonIndex(button)) : null;
+
+		let newBuffer = [];
+		let buttons = [];
+		for (const event of this._buffer) {
+			if (indexList != null && indexList.indexOf(event.button) === -1) {
+				newBuffer.push(event);
+				continue;
+			}
+
+			// note: the releases are removed from the buffer even when they are not requested
+			if (!event.pressed && !releases)
+				continue;
+
+			const buttonId = this._getButtonId(event.button);
+			if (timeStamped || releases) {
+				let buttonInfo = [buttonId];
+				if (releases)
+					buttonInfo.push(event.pressed);
+				if (timeStamped)
+					buttonInfo.push(event.timestamp, event.handlerTimestamp);
+				buttons.push(buttonInfo);
+			}
+			else
+				buttons.push(buttonId);
+		}
+
+		this._buffer = newBuffer;
+		return buttons;
+	}
+
+
+	/**
+	 * Determine whether the given button is currently pressed.
+	 *
+	 * @name module:core.Gamepad#isPressed
+	 * @function
+	 * @public
+	 * @param {string|number} button - the button, by name or index
+	 * @return {boolean} whether or not the button was pressed at the last poll
+	 */
+	isPressed(button) {
+		return (this._pressed[this._getButtonIndex(button)] === true);
+	}
+
+
+	/**
+	 * Get the values of the axes of the gamepad, e.g. [left stick x, left stick y, right stick x, right stick y]
+	 * for gamepads with the standard mapping.
+	 *
+	 * <p>Values are between -1 and 1, with 0 at rest, and the y axis of the sticks pointing downwards.</p>
+	 *
+	 * @name module:core.Gamepad#getAxes
+	 * @function
+	 * @public
+	 * @return {Array.number} the values of the axes at the last poll
+	 */
+	getAxes() {
+		return this._axes.map(value => (Math.abs(value) < this.deadZone) ? 0.0 : value);
+	}
+
+
+	/**
+	 * Determine whether the gamepad is connected.
+	 *
+	 * @name module:core.Gamepad#isConnected
+	 * @function
+	 * @public
+	 * @return {boolean} whether or not the gamepad was connected at the last poll
+	 */
+	isConnected() {
+		return this._connected;
+	}
+
+
+	/**
+	 * Clear all the button presses and releases from the buffer.
+	 *
+	 * @name module:core.Gamepad#clearEvents
+	 * @function
+	 * @public
+	 */
+	clearEvents() {
+		this._buffer = [];
+	}
+
+
+	/**
+	 * Stop polling the gamepad.
+	 *
+	 * @name module:core.Gamepad#close
+	 * @function
+	 * @public
+	 */
+	close() {
+		this._psychoJS.eventManager.removePolledDevice(this);
+	}
+
+
+	/**
+	 * Get the gamepad from the navigator.
+	 *
+	 * @name module:core.Gamepad#_getGamepad
+	 * @function
+	 * @private
+	 * @return {Object|undefined} the gamepad, or undefined if it is not connected
+	 */
+	_getGamepad() {
+		if (typeof this._navigator.getGamepads !== 'function')
+			return undefined;
+
+		// note: some browsers return null entries for disconnected gamepads
+		const gamepad = this._navigator.getGamepads()[this.index];
+		if (typeof gamepad === 'undefined' || gamepad === null || gamepad.connected === false)
+			return undefined;
+
+		return gamepad;
+	}
+
+
+	/**
+	 * Get the identifier of a button: its name if the gamepad has the standard mapping, its index otherwise.
+	 *
+	 * @name module:core.Gamepad#_getButtonId
+	 * @function
+	 * @private
+	 * @param {number} index - the index of the button
+	 * @return {string|number} the identifier of the button
+	 */
+	_getButtonId(index) {
+		if (this._mapping === 'standard' && index < Gamepad._standardButtonNames.length)
+			return Gamepad._standardButtonNames[index];
+		return index;
+	}
+
+
+	/**
+	 * Get the index of a button given its name or index.
+	 *
+	 * @name module:core.Gamepad#_getButtonIndex
+	 * @function
+	 * @private
+	 * @param {string|number} button - the name or index of the button
+	 * @return {number} the index of the button
+	 */
+	_getButtonIndex(button) {
+		if (typeof button === 'number')
+			return button;
+
+		const index = Gamepad._standardButtonNames.indexOf(button);
+		if (index === -1)
+			throw { origin: 'Gamepad._getButtonIndex', context: 'when getting the index of a gamepad button', error: 'unknown button: ' + util.toString(button) };
+
+		return index;
+	}
+
+}
+
+
+/**
+ * <p>The names of the buttons of gamepads with the [standard mapping]{@link https://w3c.github.io/gamepad/#remapping}, by index.</p>
+ *
+ * @name module:core.Gamepad._standardButtonNames
+ * @type {Array.string}
+ * @private
+ */
+Gamepad._standardButtonNames = [
+	'a', 'b', 'x', 'y',
+	'left_bumper', 'right_bumper', 'left_trigger', 'right_trigger',
+	'back', 'start',
+	'left_stick', 'right_stick',
+	'dpad_up', 'dpad_down', 'dpad_left', 'dpad_right',
+	'home'
+];
@@ -0,0 +1,285 @@
+/**
+ * @file Manager handling the keyboard events.
+ *
+ * @author Alain Pitiot
+ * @version 3.0.0b11
+ * @copyright (c) 2018 Ilixa Ltd. ({@link http://ilixa.com})
+ * @license Distributed under the terms of the MIT License
+ */
+
+import { Clock } from '../util/Clock';
+import { PsychoJS } from './PsychoJS';
+import { EventManager } from './EventManager';
+import { PsychObject } from '../util/PsychObject';
+import * as util from '../util/Util';
+
+
+/**
+ * @name module:core.KeyPress
+ * @class
+ *
+ * @param {string} name - the name of the key, e.g. 'left' or 'space'
+ * @param {string} code - the W3C KeyboardEvent.code of the key
+ * @param {number} tDown - the time at which the key was pressed, on the monotonic clock (in seconds)
+ * @param {number} rt - the time at which the key was pressed, relative to the clock of the Keyboard (in seconds)
+ * @param {number} [dispatchDelay] - the delay between the pressing of the key and the handling of the event (in seconds), if known
+ */
+export class KeyPress {
+	constructor(name, code, tDown, rt, dispatchDelay) {
+		this.name = name;
+		this.code = code;
+		this.tDown = tDown;
+		this.rt = rt;
+		this.dispatchDelay = dispatchDelay;
+
+		// the duration is only known once the key is released:
+		this.duration = undefined;
+	}
+}
+
+
+/**
+ * <p>This manager handles the interactions between the experiment and the keyboard: it records the pressing
+ * and releasing of keys, together with their response times and durations.</p>
+ *
+ * <p>Response times are relative to the clock of the Keyboard, which is typically reset when the stimulus
+ * appears on screen:</p>
+ * <code>psychoJS.window.callOnFlip(() => { keyboard.clock.reset(); keyboard.start(); });</code>
+ *
+ * @name module:core.Keyboard
+ * @class
+ * @extends PsychObject
+ * @param {Object} options
+ * @param {PsychoJS} options.psychoJS - the PsychoJS instance
+ * @param {number} [options.bufferSize= 10000] - the maximum size of the buffer of key presses
+ * @param {boolean} [options.waitForStart= false] - whether or not to wait for a call to start before recording key presses
+ * @param {Clock} [options.clock] - the clock used to compute the response times, a new clock by default
+ * @param {boolean} [options.autoLog= false] - whether or not to log
+ */
+export class Keyboard extends PsychObject {
+
+	/**
+	 * Getter for the clock of the Keyboard.
+	 *
+	 * @name module:core.Keyboard#clock
+	 * @function
+	 * @public
+	 */
+	get clock() { return this._clock; }
+
+
+	constructor({
+		psychoJS,
+		bufferSize = 10000,
+		waitForStart = false,
+		clock,
+		autoLog = false
+	} = {}) {
+		super(psychoJS);
+
+		if (typeof clock === 'undefined')
+			clock = new Clock();
+
+		this._addAttributes(Keyboard, bufferSize, waitForStart, autoLog);
+		this._clock = clock;
+
+		// key presses, in the order in which they occurred, and key presses whose keys are still down, by code:
+		this._buffer = [];
+		this._pressedKeys = new Map();
+
+		// the response of the participant, as in BuilderKeyResponse:
+		this.keys = [];
+		this.rt = [];
+		this.duration = [];
+		this.corr = 0;
+
+		this.status = (waitForStart) ? PsychoJS.Status.NOT_STARTED : PsychoJS.Status.STARTED;
+
+		this._addKeyListeners();
+	}
+
+
+	/**
+	 * Start recording the key presses.
+	 *
+	 * @name module:core.Keyboard#start
+	 * @function
+	 * @public
+	 */
+	start() {
+		this.status = PsychoJS.Status.STARTED;
+	}
+
+
+	/**
+	 * Stop recording the key presses.
+	 *
+	 * <p>Note: the releasing of keys pressed before the Keyboard was stopped is still recorded.</p>
+	 *
+	 * @name module:core.Keyboard#stop
+	 * @function
+	 * @public
+	 */
+	stop() {
+		this.status = PsychoJS.Status.STOPPED;
+	}
+
+
+	/**
+	 * Get the list of keys pressed by the participant.
+	 *
+	 * @name module:core.Keyboard#getKeys
+	 * @function
+	 * @public
+	 * @param {Object} options
+	 * @param {Array.string} [options.keyList= []] - the keys to check for, e.g. ['left', 'right'], all keys are checked if empty
+	 * @param {boolean} [options.waitRelease= true] - whether or not to only return keys that have been released, in which case their duration is known
+	 * @param {boolean} [options.clear= true] - whether or not to remove the returned key presses from the buffer
+	 * @return {Array.KeyPress} the key presses, in the order in which they occurred
+	 */
+	getKeys({
+		keyList = [],
+		waitRelease = true,
+		clear = true
+	} = {}) {
+		// the key list may contain pyglet key names (e.g. 'left') or W3C codes (e.g. 'ArrowLeft'):
+		const codeList = keyList.map(key => (key in EventManager._pygletMap) ? EventManager._pygletMap[key] : key);
+
+		let keyPresses = [];
+		let newBuffer = [];
+		for (const keyPress of this._buffer) {
+			const inList = (keyList.length === 0 || keyList.indexOf(keyPress.name) > -1 || codeList.indexOf(keyPress.code) > -1);
+			const released = (typeof keyPress.duration !== 'undefined');
+
+			if (inList && (released || !waitRelease))
+				keyPresses.push(keyPress);
+			else
+				newBuffer.push(keyPress);
+		}
+
+		if (clear)
+			this._buffer = newBuffer;
+
+		return keyPresses;
+	}
+
+
+	/**
+	 * Clear all the key presses, including those whose keys have not been released yet.
+	 *
+	 * @name module:core.Keyboard#clearEvents
+	 * @function
+	 * @public
+	 */
+	clearEvents() {
+		this._buffer = [];
+		this._pressedKeys.clear();
+	}
+
+
+	/**
+	 * Score the response of the participant against the expected answer, e.g. the value of a correctAns
+	 * column of the conditions.
+	 *
+	 * <p>When several keys have been recorded, the response is correct if they match the expected answer
+	 * when the latter is an array, or if the last key matches it otherwise.</p>
+	 *
+	 * @name module:core.Keyboard#checkCorrect
+	 * @function
+	 * @public
+	 * @param {string|number|Array} correctAns - the expected answer
+	 * @param {string|Array.string} [keys= this.keys] - the response, by default the keys of the Keyboard
+	 * @return {number} 1 if the response is correct and 0 otherwise, which is also stored in corr
+	 */
+	checkCorrect(correctAns, keys = this.keys) {
+		let correct;
+		if (Array.isArray(keys) && Array.isArray(correctAns))
+			correct = (keys.length === correctAns.length && keys.every((key, k) => String(key) === String(correctAns[k])));
+		else {
+			const key = (Array.isArray(keys)) ? keys[keys.length - 1] : keys;
+			correct = (typeof key !== 'undefined' && String(key) === String(correctAns));
+		}
+
+		this.corr = (correct) ? 1 : 0;
+		return this.corr;
+	}
+
+
+	/**
+	 * Stop listening to the keyboard and discard the key presses.
+	 *
+	 * <p>Note: the Keyboard listens to the document until it is closed, so a Keyboard that is no longer needed,
+	 * e.g. at the end of its routine, should be closed.</p>
+	 *
+	 * @name module:core.Keyboard#close
+	 * @function
+	 * @public
+	 */
+	close() {
+		if (typeof this._keyListeners === 'undefined')
+			return;
+
+		document.removeEventListener("keydown", this._keyListeners.keydown);
+		document.removeEventListener("keyup", this._keyListeners.keyup);
+		this._keyListeners = undefined;
+
+		this.status = PsychoJS.Status.STOPPED;
+		this._buffer = [];
+		this._pressedKeys.clear();
+	}
+
+
+	/**
+	 * Add key listeners to the document.
+	 *
+	 * <p>The listeners are kept so that they can be removed by [close]{@link module:core.Keyboard#close}.</p>
+	 *
+	 * @name module:core.Keyboard#_addKeyListeners
+	 * @function
+	 * @private
+	 */
+	_addKeyListeners() {
+		let self = this;
+
+		this._keyListeners = {};
+
+		this._keyListeners.keydown = (e) => {
+			// we ignore the events generated when a key is held down, and those occurring while the Keyboard is not started:
+			if (e.repeat || self.status !== PsychoJS.Status.STARTED)
+				return;
+
+			// the times are those at which the key was pressed, rather than those at which the event is handled:
+			const { eventTime, dispatchDelay } = EventManager.getEventTimes(e);
+			const rt = self._clock.getTime() - ((typeof dispatchDelay !== 'undefined') ? dispatchDelay : 0);
+
+			const name = (e.code in EventManager._reversePygletMap) ? EventManager._reversePygletMap[e.code] : e.key;
+			const keyPress = new KeyPress(name, e.code, eventTime, rt, dispatchDelay);
+
+			self._buffer.push(keyPress);
+			if (self._buffer.length > self.bufferSize)
+				self._buffer.shift();
+			self._pressedKeys.set(e.code, keyPress);
+
+			if (self.autoLog)
+				self._psychoJS.logger.trace('key pressed: ', util.toString(keyPress));
+			if (typeof dispatchDelay !== 'undefined' && dispatchDelay > EventManager.DispatchDelayWarningThreshold)
+				self._psychoJS.logger.warn('key ' + name + ' was handled ' + (dispatchDelay * 1000).toFixed(1) + ' ms after it was pressed');
+		};
+
+		this._keyListeners.keyup = (e) => {
+			const keyPress = self._pressedKeys.get(e.code);
+			if (typeof keyPress === 'undefined')
+				return;
+
+			keyPress.duration = EventManager.getEventTimes(e).eventTime - keyPress.tDown;
+			self._pressedKeys.delete(e.code);
+
+			if (self.autoLog)
+				self._psychoJS.logger.trace('key released: ', util.toString(keyPress));
+		};
+
+		document.addEventListener("keydown", this._keyListeners.keydown);
+		document.addEventListener("keyup", this._keyListeners.keyup);
+	}
+
+}
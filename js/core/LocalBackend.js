@@ -0,0 +1,141 @@
+/**
+ * @file Backend for experiments run locally, without a server.
+ *
+ * @author Alain Pitiot
+ * @version 3.0.0b11
+ * @copyright (c) 2018 Ilixa Ltd. ({@link http://ilixa.com})
+ * @license Distributed under the terms of the MIT License
+ */
+
+
+import { ServerBackend } from './ServerBackend';
+import { ExperimentHandler } from '../data/ExperimentHandler';
+
+
+/**
+ * <p>This backend is used when the experiment is run locally, i.e. when the configuration has neither a psychoJsManager
+ * nor a backend block, or has a backend block of type 'local'.</p>
+ * <p>Sessions are not opened on a server, the resources are those listed in the resources block of the configuration
+ * and are downloaded from experiment.resourceDirectory ('resources/' by default), and the data are offered to
+ * the participant as a file download.</p>
+ *
+ * @name module:core.LocalBackend
+ * @class
+ * @extends ServerBackend
+ * @param {Object} options
+ * @param {PsychoJS} options.psychoJS - the PsychoJS instance
+ * @param {Object.<string, *>} [options.config= {}] - the backend configuration
+ * @throws {string} exception if the resources block of the configuration is not an array
+ */
+export class LocalBackend extends ServerBackend {
+
+	/**
+	 * Getter for the environment in which the experiment is run with this backend.
+	 *
+	 * @name module:core.LocalBackend#environment
+	 * @function
+	 * @public
+	 */
+	get environment() { return ExperimentHandler.Environment.LOCAL; }
+
+
+	constructor({
+		psychoJS,
+		config
+	} = {}) {
+		super({ psychoJS, config });
+
+		const psychoJSConfig = this._psychoJS.config;
+		if (!('resources' in psychoJSConfig))
+			psychoJSConfig.resources = [];
+		if (!Array.isArray(psychoJSConfig.resources))
+			throw 'resources in configuration should be an array of resource names';
+	}
+
+
+	/**
+	 * Open a session: there is no remote session to open.
+	 *
+	 * @name module:core.LocalBackend#openSession
+	 * @function
+	 * @public
+	 * @returns {Promise<{token: undefined}>} an undefined token
+	 */
+	openSession() {
+		return Promise.resolve({ token: undefined });
+	}
+
+
+	/**
+	 * Close the session: there is no remote session to close.
+	 *
+	 * @name module:core.LocalBackend#closeSession
+	 * @function
+	 * @public
+	 * @param {Object} options
+	 * @param {boolean} [options.sync= false] - whether or not the page is being unloaded
+	 * @returns {Promise<Object>} an empty answer
+	 */
+	closeSession({ sync = false } = {}) {
+		return Promise.resolve({});
+	}
+
+
+	/**
+	 * List the resources in the configuration.
+	 *
+	 * @name module:core.LocalBackend#listResources
+	 * @function
+	 * @public
+	 * @returns {Promise<{resources: Array.string, resourceDirectory: string}>} the resources and resource directory
+	 */
+	listResources() {
+		const experimentConfig = this._psychoJS.config.experiment;
+		const resourceDirectory = ('resourceDirectory' in experimentConfig) ? experimentConfig.resourceDirectory : 'resources/';
+
+		return Promise.resolve({ resources: this._psychoJS.config.resources, resourceDirectory });
+	}
+
+
+	/**
+	 * Offer the data to the participant as a file download.
+	 *
+	 * <p>Note: browsers do not allow downloads while the page is being unloaded.</p>
+	 *
+	 * @name module:core.LocalBackend#uploadData
+	 * @function
+	 * @public
+	 * @param {string} key - the data key, used as the name of the file
+	 * @param {*} value - the data value
+	 * @param {Object} options
+	 * @param {boolean} [options.sync= false] - whether or not the page is being unloaded
+	 * @param {string} [options.token] - the token of the session the data belong to, by default the current session
+	 * @returns {Promise<Object>} the response of the download
+	 */
+	uploadData(key, value, { sync = false, token } = {}) {
+		if (sync)
+			return Promise.reject('data cannot be offered for download while the page is being unloaded');
+
+		const extension = key.split('.').pop();
+		const type = (extension in LocalBackend._MIMETypes) ? LocalBackend._MIMETypes[extension] : 'text/plain';
+
+		return this._psychoJS.serverManager.offerDataForDownload(key, value, type);
+	}
+
+}
+
+
+/**
+ * MIME types of the data files, by extension.
+ *
+ * @name module:core.LocalBackend#_MIMETypes
+ * @readonly
+ * @private
+ * @type {Object.<string, string>}
+ */
+LocalBackend._MIMETypes = {
+	csv: 'text/csv',
+	tsv: 'text/tab-separated-values',
+	json: 'application/json',
+	log: 'text/plain'
+};
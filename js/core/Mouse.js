@@ -8,6 +8,8 @@
  */
 
 import { PsychoJS } from './PsychoJS';
+import { EventManager } from './EventManager';
+import { MonotonicClock } from '../util/Clock';
 import { PsychObject } from '../util/PsychObject';
 import * as util from '../util/Util';
 
@@ -16,6 +18,10 @@ import * as util from '../util/Util';
  * <p>This manager handles the interactions between the experiment's stimuli and the mouse.</p>
  * <p>Note: the unit of Mouse is that of its associated Window.</p>
  * 
+ * <p>Browsers do not let web pages move the cursor: [setPos]{@link module:core.Mouse#setPos} locks the pointer
+ * to the canvas, after which the mouse moves a virtual, hidden, cursor, which is typically represented by a
+ * stimulus, e.g. for relative-motion tasks.</p>
+ * 
  * @name module:core.Mouse
  * @class
  * @extends PsychObject
@@ -23,8 +29,6 @@ import * as util from '../util/Util';
  * @param {String} options.name - the name used when logging messages from this stimulus
  * @param {Window} options.win - the associated Window
  * @param {boolean} [options.autoLog= true] - whether or not to log
- * 
- * @todo visible is not handled at the moment (mouse is always visible)
  */
 export class Mouse extends PsychObject {
 
@@ -40,6 +44,18 @@ export class Mouse extends PsychObject {
 		this._prevPos = undefined; // used for motion detection and timing
 		this._movedistance = 0.0;
 
+		// total motion of the locked pointer at the last call to getPos or getRel (in pixels), relative to which getRel
+		// measures the motion:
+		this._movementBaseline = win._psychoJS.eventManager.getMouseInfo().movement.slice();
+
+		// trajectory recorded between calls to startRecording and stopRecording:
+		this._trajectory = [];
+		this._recordingStartTime = undefined;
+		this._moveListener = undefined;
+
+		// valid clicks on clickable stimuli, as recorded by getValidClick:
+		this.resetClickData();
+
 		const units = win.units;
 		const visible = 1;
 		this._addAttributes(Mouse, win, units, visible, autoLog);
@@ -59,14 +75,10 @@ export class Mouse extends PsychObject {
 	getPos() {
 		// get mouse position in the canvas:
 		const mouseInfo = this.psychoJS.eventManager.getMouseInfo();
-		let pos_px = mouseInfo.pos.slice();
+		this._lastPos = this._canvasToWindowUnits(mouseInfo.pos);
 
-		// convert to the associated window's reference frame with (0,0) as the centre of the window:
-		pos_px[0] = pos_px[0] - this.win.size[0] / 2;
-		pos_px[1] = this.win.size[1] / 2 - pos_px[1];
-
-		// convert to window units:
-		this._lastPos = util.to_win(pos_px, 'pix', this._win);
+		// the relative motion is that since the last call to getPos or getRel:
+		this._movementBaseline = mouseInfo.movement.slice();
 
 		return this._lastPos;
 	}
@@ -76,12 +88,23 @@ export class Mouse extends PsychObject {
 	 * Get the position of the mouse relative to that at the last call to getRel
 	 * or getPos, in mouse/Window units.
 	 * 
+	 * <p>Note: while the pointer is locked, this is the motion of the mouse, which is not limited by the edges of the canvas.</p>
+	 * 
 	 * @name module:core.Mouse#getRel
 	 * @function
 	 * @public
 	 * @return {Array.number} the relation position of the mouse in mouse/Window units.
 	 */
 	getRel() {
+		if (this.psychoJS.eventManager.isPointerLocked()) {
+			// note: the motion is in canvas pixels, with the y axis pointing downwards
+			const movement = this.psychoJS.eventManager.getMouseInfo().movement;
+			const rel_px = [movement[0] - this._movementBaseline[0], this._movementBaseline[1] - movement[1]];
+			this.getPos();
+
+			return util.to_win(rel_px, 'pix', this._win);
+		}
+
 		if (typeof this._lastPos === 'undefined')
 			return this.getPos();
 		else {
@@ -93,6 +116,55 @@ export class Mouse extends PsychObject {
 	}
 
 
+	/**
+	 * Set the position of the mouse, in mouse/Window units.
+	 * 
+	 * <p>This locks the pointer to the canvas, if it is not locked already, since the position of the cursor can
+	 * only be changed while the pointer is locked. Browsers only lock the pointer in response to a user gesture,
+	 * e.g. a click, so the first call to setPos is best made upon a click of the participant. The position is then
+	 * only applied once the browser has locked the pointer.</p>
+	 * 
+	 * @name module:core.Mouse#setPos
+	 * @function
+	 * @public
+	 * @param {Array.number} [pos= [0, 0]] - the position of the mouse in mouse/Window units
+	 */
+	setPos(pos = [0, 0]) {
+		// convert to the canvas' reference frame, with (0,0) as the top-left corner:
+		const pos_px = util.to_px(pos, this.units, this._win);
+		this.psychoJS.eventManager.setMousePos([pos_px[0] + this.win.size[0] / 2, this.win.size[1] / 2 - pos_px[1]]);
+
+		this.getPos();
+	}
+
+
+	/**
+	 * Unlock the pointer, after a call to [setPos]{@link module:core.Mouse#setPos}, so that the cursor moves freely again.
+	 * 
+	 * @name module:core.Mouse#releasePos
+	 * @function
+	 * @public
+	 */
+	releasePos() {
+		this.psychoJS.eventManager.exitPointerLock();
+	}
+
+
+	/**
+	 * Show or hide the mouse cursor when it is over the canvas.
+	 * 
+	 * @name module:core.Mouse#setVisible
+	 * @function
+	 * @public
+	 * @param {boolean} visible - whether or not the cursor is visible
+	 * @param {boolean} [log= false] - whether of not to log
+	 */
+	setVisible(visible, log = false) {
+		this._setAttribute('visible', (visible) ? 1 : 0, log);
+		this.psychoJS.eventManager.setMouseVisibility(visible);
+	}
+
+
 	/**
 	 * Get the travel of the mouse scroll wheel since the last call to getWheelRel.
 	 * 
@@ -139,6 +211,392 @@ export class Mouse extends PsychObject {
 	}
 
 
+	/**
+	 * @typedef Mouse.Click
+	 * @property {number} button - the button: 0 for left, 1 for center, 2 for right
+	 * @property {Array.number} pos - the position of the mouse in mouse/Window units
+	 * @property {number} time - the time elapsed between the last call to [clickReset]{@link module:core.Mouse#clickReset} and the click (in seconds)
+	 * @property {number} timestamp - the time of the click on the monotonic clock (in seconds)
+	 * @property {boolean} released - whether the button was released rather than pressed
+	 */
+	/**
+	 * Get the button presses and, optionally, releases that occurred since the last call to getClicks or
+	 * [clearEvents]{@link module:core.Mouse#clearEvents}.
+	 *
+	 * <p>Contrary to [getPressed]{@link module:core.Mouse#getPressed}, which only gives the current state of the buttons,
+	 * clicks are buffered, so that brief clicks and double-clicks occurring between two frames are not missed.</p>
+	 *
+	 * @name module:core.Mouse#getClicks
+	 * @function
+	 * @public
+	 * @param {Object} options
+	 * @param {Array.number} [options.buttons= [0, 1, 2]] - the buttons to check for (0: left, 1: center, 2: right)
+	 * @param {boolean} [options.releases= false] - whether or not to also return the button releases
+	 * @param {boolean} [options.clear= true] - whether or not to remove the returned clicks from the buffer
+	 * @return {Array.Mouse.Click} the clicks, in the order in which they occurred
+	 */
+	getClicks({
+		buttons = [0, 1, 2],
+		releases = false,
+		clear = true
+	} = {}) {
+		const events = this.psychoJS.eventManager.getMouseEvents({ buttons, clear });
+
+		let clicks = [];
+		for (const event of events) {
+			const released = (event.type === EventManager.MouseEventType.RELEASE);
+			if (released && !releases)
+				continue;
+
+			clicks.push({
+				button: event.button,
+				pos: this._canvasToWindowUnits(event.pos),
+				time: event.time,
+				timestamp: event.timestamp,
+				released
+			});
+		}
+
+		return clicks;
+	}
+
+
+	/**
+	 * Clear the buffered button presses and releases.
+	 *
+	 * @name module:core.Mouse#clearEvents
+	 * @function
+	 * @public
+	 */
+	clearEvents() {
+		this.psychoJS.eventManager.clearMouseEvents();
+	}
+
+
+	/**
+	 * Start recording the trajectory of the mouse.
+	 *
+	 * <p>All movements of the mouse over the canvas are recorded, at the native rate of the pointer events rather
+	 * than once per frame, until [stopRecording]{@link module:core.Mouse#stopRecording} is called. The position of
+	 * the mouse at the start of the recording is the first sample of the trajectory.</p>
+	 *
+	 * @name module:core.Mouse#startRecording
+	 * @function
+	 * @public
+	 * @param {Object} options
+	 * @param {boolean} [options.clear= true] - whether or not to discard the previously recorded trajectory
+	 */
+	startRecording({ clear = true } = {}) {
+		if (this.isRecording())
+			return;
+
+		if (clear || typeof this._recordingStartTime === 'undefined') {
+			this._recordingStartTime = MonotonicClock.getReferenceTime() / 1000;
+			this._trajectory = [{
+				pos: this._canvasToWindowUnits(this.psychoJS.eventManager.getMouseInfo().pos),
+				time: 0.0
+			}];
+		}
+
+		let self = this;
+		this._moveListener = (pos, timestamp) => {
+			const time = timestamp - self._recordingStartTime;
+
+			// note: coalesced movements may have occurred just before the start of the recording
+			if (time >= 0)
+				self._trajectory.push({ pos: self._canvasToWindowUnits(pos), time });
+		};
+		this.psychoJS.eventManager.addMoveListener(this._moveListener);
+
+		if (this.autoLog)
+			this.psychoJS.logger.debug('started recording the trajectory of mouse: ' + this.name);
+	}
+
+
+	/**
+	 * Stop recording the trajectory of the mouse.
+	 *
+	 * @name module:core.Mouse#stopRecording
+	 * @function
+	 * @public
+	 */
+	stopRecording() {
+		if (!this.isRecording())
+			return;
+
+		this.psychoJS.eventManager.removeMoveListener(this._moveListener);
+		this._moveListener = undefined;
+
+		if (this.autoLog)
+			this.psychoJS.logger.debug('stopped recording the trajectory of mouse: ' + this.name + ', ' + this._trajectory.length + ' samples');
+	}
+
+
+	/**
+	 * Determine whether the trajectory of the mouse is being recorded.
+	 *
+	 * @name module:core.Mouse#isRecording
+	 * @function
+	 * @public
+	 * @return {boolean} whether or not the trajectory is being recorded
+	 */
+	isRecording() {
+		return (typeof this._moveListener !== 'undefined');
+	}
+
+
+	/**
+	 * @typedef Mouse.TrajectorySample
+	 * @property {Array.number} pos - the position of the mouse in mouse/Window units
+	 * @property {number} time - the time elapsed between the start of the recording and the sample (in seconds)
+	 */
+	/**
+	 * Get the recorded trajectory of the mouse.
+	 *
+	 * @name module:core.Mouse#getTrajectory
+	 * @function
+	 * @public
+	 * @return {Array.Mouse.TrajectorySample} the samples, in chronological order
+	 */
+	getTrajectory() {
+		return this._trajectory.map(sample => ({ pos: sample.pos.slice(), time: sample.time }));
+	}
+
+
+	/**
+	 * @typedef Mouse.TrajectoryMeasures
+	 * @property {number} pathLength - the distance travelled by the mouse, in mouse/Window units
+	 * @property {number} maxDeviation - the largest perpendicular distance between the trajectory and the straight line from its first to its last sample, in mouse/Window units, positive when on the left of that line (looking from the first sample towards the last one)
+	 * @property {number} areaUnderCurve - the signed area between the trajectory and that straight line, in squared mouse/Window units, positive when on the left of that line
+	 * @property {number|undefined} initiationTime - the time elapsed between the start of the recording and the first movement (in seconds), or undefined if the mouse has not moved
+	 */
+	/**
+	 * Get the usual mouse-tracking measures of the recorded trajectory.
+	 *
+	 * @name module:core.Mouse#getTrajectoryMeasures
+	 * @function
+	 * @public
+	 * @param {Object} options
+	 * @param {number} [options.initiationThreshold= 0] - the distance from the first sample, in mouse/Window units, beyond which the mouse is deemed to have moved
+	 * @return {Mouse.TrajectoryMeasures} the measures
+	 */
+	getTrajectoryMeasures({ initiationThreshold = 0 } = {}) {
+		const samples = this._trajectory;
+		let measures = {
+			pathLength: 0.0,
+			maxDeviation: 0.0,
+			areaUnderCurve: 0.0,
+			initiationTime: undefined
+		};
+		if (samples.length === 0)
+			return measures;
+
+		const start = samples[0].pos;
+		const end = samples[samples.length - 1].pos;
+		const lineLength = Math.hypot(end[0] - start[0], end[1] - start[1]);
+
+		let prevAlong = 0.0;
+		let prevDeviation = 0.0;
+		for (let i = 0; i < samples.length; ++i) {
+			const pos = samples[i].pos;
+			const dx = pos[0] - start[0];
+			const dy = pos[1] - start[1];
+
+			if (i > 0) {
+				const prevPos = samples[i - 1].pos;
+				measures.pathLength += Math.hypot(pos[0] - prevPos[0], pos[1] - prevPos[1]);
+			}
+
+			if (typeof measures.initiationTime === 'undefined' && Math.hypot(dx, dy) > initiationThreshold)
+				measures.initiationTime = samples[i].time;
+
+			// coordinates of the sample along and perpendicular to the straight line:
+			// note: when the trajectory comes back to its start, there is no line and the deviation is the distance to the start
+			let along, deviation;
+			if (lineLength > 0) {
+				along = (dx * (end[0] - start[0]) + dy * (end[1] - start[1])) / lineLength;
+				deviation = (dy * (end[0] - start[0]) - dx * (end[1] - start[1])) / lineLength;
+			}
+			else {
+				along = 0.0;
+				deviation = Math.hypot(dx, dy);
+			}
+
+			if (Math.abs(deviation) > Math.abs(measures.maxDeviation))
+				measures.maxDeviation = deviation;
+			if (i > 0)
+				measures.areaUnderCurve += (along - prevAlong) * (deviation + prevDeviation) / 2;
+
+			prevAlong = along;
+			prevDeviation = deviation;
+		}
+
+		return measures;
+	}
+
+
+	/**
+	 * Add the recorded trajectory and its measures to the data of the current trial.
+	 *
+	 * <p>The trajectory is written as a JSON array of [x, y, time] samples in the <name>.trajectory column, and the
+	 * measures in the <name>.pathLength, <name>.maxDeviation, <name>.areaUnderCurve and <name>.initiationTime columns.</p>
+	 *
+	 * @name module:core.Mouse#addTrajectoryData
+	 * @function
+	 * @public
+	 * @param {Object} options
+	 * @param {ExperimentHandler} [options.experimentHandler] - the experiment handler, by default that of the PsychoJS instance
+	 * @param {number} [options.initiationThreshold= 0] - see [getTrajectoryMeasures]{@link module:core.Mouse#getTrajectoryMeasures}
+	 */
+	addTrajectoryData({
+		experimentHandler = this.psychoJS.experiment,
+		initiationThreshold = 0
+	} = {}) {
+		const trajectory = this._trajectory.map(sample => [sample.pos[0], sample.pos[1], sample.time]);
+		experimentHandler.addData(this.name + '.trajectory', JSON.stringify(trajectory));
+
+		const measures = this.getTrajectoryMeasures({ initiationThreshold });
+		for (const measure in measures)
+			experimentHandler.addData(this.name + '.' + measure, measures[measure]);
+	}
+
+
+	/**
+	 * Determine whether the given stimulus contains the mouse while any of the given buttons is pressed.
+	 *
+	 * @name module:core.Mouse#isPressedIn
+	 * @function
+	 * @public
+	 * @param {Object} stim - the stimulus, which must implement contains, e.g. an ImageStim or a BaseShapeStim
+	 * @param {Array.number} [buttons= [0, 1, 2]] - the buttons to check for (0: left, 1: center, 2: right)
+	 * @return {boolean} whether or not one of the buttons is pressed and the mouse is within the stimulus
+	 */
+	isPressedIn(stim, buttons = [0, 1, 2]) {
+		const pressed = this.psychoJS.eventManager.getMouseInfo().buttons.pressed;
+		if (!buttons.some(b => pressed[b] === 1))
+			return false;
+
+		return stim.contains(this);
+	}
+
+
+	/**
+	 * @typedef Mouse.ValidClick
+	 * @property {Object} stim - the clicked stimulus
+	 * @property {string} name - the name of the clicked stimulus
+	 * @property {number} button - the button: 0 for left, 1 for center, 2 for right
+	 * @property {Array.number} pos - the position of the mouse in mouse/Window units
+	 * @property {number} time - the time elapsed between the last call to [clickReset]{@link module:core.Mouse#clickReset} and the click (in seconds)
+	 * @property {number} timestamp - the time of the click on the monotonic clock (in seconds)
+	 */
+	/**
+	 * Look for a click on one of the given clickable stimuli, among the button presses since the last call to
+	 * getValidClick, [getClicks]{@link module:core.Mouse#getClicks} or [clearEvents]{@link module:core.Mouse#clearEvents}.
+	 *
+	 * <p>This mirrors the mouse component of the PsychoPy Builder: the name of the clicked stimulus, and the time
+	 * and position of the click, are appended to the clicked_name, time, x, y and button fields of the mouse, and
+	 * the routine typically ends on the first valid click. Clicks outside all the clickable stimuli are discarded.
+	 * When the clicked stimuli overlap, the first one in the list is the clicked one.</p>
+	 *
+	 * @example
+	 * // at the start of the routine:
+	 * mouse.clickReset();
+	 * mouse.clearEvents();
+	 * mouse.resetClickData();
+	 *
+	 * // on each frame:
+	 * if (mouse.getValidClick({ clickable: [leftImage, rightImage] }))
+	 *   continueRoutine = false;
+	 *
+	 * // at the end of the routine:
+	 * mouse.addClickData();
+	 *
+	 * @name module:core.Mouse#getValidClick
+	 * @function
+	 * @public
+	 * @param {Object} options
+	 * @param {Array.Object} options.clickable - the clickable stimuli, which must implement contains
+	 * @param {Array.number} [options.buttons= [0, 1, 2]] - the buttons to check for (0: left, 1: center, 2: right)
+	 * @return {Mouse.ValidClick|undefined} the first valid click, or undefined if there was none
+	 */
+	getValidClick({
+		clickable,
+		buttons = [0, 1, 2]
+	} = {}) {
+		const response = {
+			origin: 'Mouse.getValidClick',
+			context: 'when looking for a click on a clickable stimulus with mouse: ' + this.name
+		};
+		if (!Array.isArray(clickable))
+			throw { ...response, error: 'clickable should be an array of stimuli' };
+
+		for (const click of this.getClicks({ buttons })) {
+			// note: the stimuli's contains functions expect an object with a position, its units and its window
+			const clickObject = { getPos: () => click.pos, units: this.units, win: this.win };
+
+			const stim = clickable.find(s => s.contains(clickObject, this.units));
+			if (typeof stim === 'undefined')
+				continue;
+
+			this.clicked_name.push(stim.name);
+			this.x.push(click.pos[0]);
+			this.y.push(click.pos[1]);
+			this.time.push(click.time);
+			this.button.push(click.button);
+
+			if (this.autoLog)
+				this.psychoJS.logger.debug('mouse: ' + this.name + ' clicked on: ' + stim.name);
+
+			return {
+				stim,
+				name: stim.name,
+				button: click.button,
+				pos: click.pos,
+				time: click.time,
+				timestamp: click.timestamp
+			};
+		}
+
+		return undefined;
+	}
+
+
+	/**
+	 * Clear the valid clicks recorded by [getValidClick]{@link module:core.Mouse#getValidClick}.
+	 *
+	 * @name module:core.Mouse#resetClickData
+	 * @function
+	 * @public
+	 */
+	resetClickData() {
+		this.clicked_name = [];
+		this.x = [];
+		this.y = [];
+		this.time = [];
+		this.button = [];
+	}
+
+
+	/**
+	 * Add the valid clicks recorded by [getValidClick]{@link module:core.Mouse#getValidClick} to the data of
+	 * the current trial, in the <name>.clicked_name, <name>.x, <name>.y, <name>.time and <name>.button columns.
+	 *
+	 * <p>Each column holds the values of all the valid clicks, as an array, unless there is a single click.</p>
+	 *
+	 * @name module:core.Mouse#addClickData
+	 * @function
+	 * @public
+	 * @param {Object} options
+	 * @param {ExperimentHandler} [options.experimentHandler] - the experiment handler, by default that of the PsychoJS instance
+	 */
+	addClickData({ experimentHandler = this.psychoJS.experiment } = {}) {
+		for (const field of ['clicked_name', 'x', 'y', 'time', 'button']) {
+			const values = this[field];
+			experimentHandler.addData(this.name + '.' + field, (values.length === 1) ? values[0] : values);
+		}
+	}
+
+
 	/**
 	 * Determine whether the mouse has moved beyond a certain distance.
 	 * 
@@ -179,9 +637,9 @@ export class Mouse extends PsychObject {
 					this._movedistance = Math.sqrt((this._prevPos[0] - this._lastPos[0]) * (this._prevPos[0] - this._lastPos[0]) + (this._prevPos[1] - this._lastPos[1]) * (this._prevPos[1] - this._lastPos[1]));
 					return (this._movedistance > distance);
 				}
-				if (this._prevPos[0] + distance[0] - this._lastPos[0] > 0.0)
+				if (Math.abs(this._lastPos[0] - this._prevPos[0]) > distance[0])
 					return true; // moved on X-axis
-				if (this._prevPos[1] + distance[1] - this._lastPos[0] > 0.0)
+				if (Math.abs(this._lastPos[1] - this._prevPos[1]) > distance[1])
 					return true; // moved on Y-axis
 				return false;
 			}
@@ -189,13 +647,13 @@ export class Mouse extends PsychObject {
 
 		else if (typeof reset === 'boolean' && reset == true) {
 			// reset the moveClock:
-			this.psychoJS.eventManager.getMouseInfo().moveClock.reset();
+			this.psychoJS.eventManager.resetMoveClock();
 			return false;
 		}
 
 		else if (reset === 'here') {
 			// set to wherever we are
-			this._prevPos = this._lastPos.clone();
+			this._prevPos = this._lastPos.slice();
 			return false;
 		}
 
@@ -232,10 +690,34 @@ export class Mouse extends PsychObject {
 	 * @name module:core.Mouse#mouseMoveTime
 	 * @function
 	 * @public
-	 * @return {number} the time elapsed since the last mouse movement
+	 * @return {number} the time elapsed since the last mouse movement, or 0 if the move clock has been stopped
 	 */
 	mouseMoveTime() {
-		return this.psychoJS.eventManager.getMouseInfo().moveClock.getTime();
+		const moveClock = this.psychoJS.eventManager.getMouseInfo().moveClock;
+		if (typeof moveClock === 'undefined')
+			return 0.0;
+
+		return moveClock.getTime();
+	}
+
+
+	/**
+	 * Convert a position in the canvas to mouse/Window units.
+	 *
+	 * @name module:core.Mouse#_canvasToWindowUnits
+	 * @function
+	 * @private
+	 * @param {Array.number} pos_canvas - the position in the canvas (in pixels, from the top-left corner)
+	 * @return {Array.number} the position in mouse/Window units
+	 */
+	_canvasToWindowUnits(pos_canvas) {
+		// convert to the associated window's reference frame with (0,0) as the centre of the window:
+		let pos_px = pos_canvas.slice();
+		pos_px[0] = pos_px[0] - this.win.size[0] / 2;
+		pos_px[1] = this.win.size[1] / 2 - pos_px[1];
+
+		// convert to window units:
+		return util.to_win(pos_px, 'pix', this._win);
 	}
 
 
@@ -85,6 +85,15 @@ export class PsychoJS {
 		this._cancellationUrl = undefined;
 		this._completionUrl = undefined;
 
+		// whether the results have been saved and the session closed, and the listener used if the participant leaves early:
+		this._sessionClosed = false;
+		this._unloadListener = undefined;
+
+		// whether the state of the experiment is snapshot, so that an interrupted session can be resumed, and number
+		// of entries already in the snapshot:
+		this._resumable = false;
+		this._nbSnapshotEntries = 0;
+
 
 		// status:
 		this._status = PsychoJS.Status.NOT_CONFIGURED;
@@ -178,18 +187,38 @@ export class PsychoJS {
 	/**
 	 * Start the experiment.
 	 * 
+	 * <p>The server the experiment communicates with is given by the backend block of the configuration file
+	 * (see [ServerManager.setupBackend]{@link module:core.ServerManager#setupBackend}). If the configuration file has
+	 * neither a backend nor a psychoJsManager block, the experiment is run locally: its resources are those listed in the
+	 * resources block of the configuration (and are downloaded from experiment.resourceDirectory, 'resources/' by default),
+	 * no session is opened on a remote server, and the results are offered to the participant as a file download.</p>
+	 * <p>If experiment.incrementalSaving is set to N > 0 in the configuration file, the trial data are uploaded to the
+	 * server every N entries, so that partial results survive the participant closing the browser.</p>
+	 * <p>If the experiment is resumable, its state is snapshot in the local storage of the browser after each entry,
+	 * and a participant restarting the experiment after an interruption, e.g. a browser crash, is offered to resume
+	 * the session at the interrupted trial, by the expInfo dialog or by [GUI.offerToResume]{@link module:core.GUI#offerToResume}
+	 * (see [saveSnapshot]{@link module:core.PsychoJS#saveSnapshot}).</p>
+	 * <p>If recordInput is set, all the input of the participant is recorded and saved alongside the results, and that
+	 * trace can be given as inputTrace to a later run, to reproduce the session
+	 * (see [EventManager.replayInput]{@link module:core.EventManager#replayInput}).</p>
+	 *
 	 * @param {Object} options
 	 * @param {string} [options.configURL=config.json] - the URL of the configuration file
 	 * @param {Object.<string, *>} [options.expInfo] - additional information about the experiment
+	 * @param {boolean} [options.resumable= false] - whether or not an interrupted session can be resumed
+	 * @param {boolean} [options.recordInput= false] - whether or not to record the participant's input
+	 * @param {EventManager.InputTrace} [options.inputTrace] - a previously recorded trace of the participant's input, to be replayed
 	 * @async
 	 * @public
 	 */
-	async start({ configURL = 'config.json', expInfo } = {}) {
+	async start({ configURL = 'config.json', expInfo, resumable = false, recordInput = false, inputTrace } = {}) {
 		this.logger.debug();
 
 		let response = { origin: 'PsychoJS.start', context: 'when starting the experiment' };
 
 		try {
+			this._resumable = resumable;
+
 			// configure the experiment:
 			await this._configure(configURL);
 
@@ -212,7 +241,8 @@ export class PsychoJS {
 			// setup the experiment handler:
 			this._experiment = new ExperimentHandler({
 				psychoJS: this,
-				extraInfo: expInfo
+				extraInfo: expInfo,
+				incrementalSaving: this._config.experiment.incrementalSaving
 			});
 
 			// setup the logger:
@@ -222,9 +252,26 @@ export class PsychoJS {
 			// open a new session:
 			await this._serverManager.openSession();
 
+			// upload the data left over from previous runs, if any:
+			this._serverManager.flushPendingUploads();
+
+			// save the results and close the session if the participant leaves the experiment early:
+			this._addUnloadListeners();
+
 			// start the asynchronous download of resources:
 			this._serverManager.downloadResources();
 
+			// record the participant's input, and replay that of a previous session:
+			// note: both can take place at the same time, e.g. to check that a replay reproduces the recorded session
+			if (recordInput)
+				this._eventManager.startInputRecording();
+			if (typeof inputTrace !== 'undefined')
+				this._eventManager.replayInput(inputTrace);
+
+			// the routines start with the scheduler, unless the experiment opens an expInfo dialog first,
+			// in which case they start when the dialog is closed:
+			this._eventManager.setInputAnchor(0);
+
 			// start the experiment:
 			this.logger.info('[PsychoJS] Start Experiment.');
 			this._scheduler.start();
@@ -235,6 +282,149 @@ export class PsychoJS {
 	}
 
 
+	/**
+	 * Get the environment in which the experiment is running.
+	 *
+	 * <p>Note: the environment is only known once PsychoJS has been configured.</p>
+	 *
+	 * @public
+	 * @return {ExperimentHandler.Environment|undefined} the environment, e.g. SERVER or LOCAL
+	 */
+	getEnvironment() {
+		if (typeof this._config === 'undefined')
+			return undefined;
+
+		return this._config.environment;
+	}
+
+
+	/**
+	 * Snapshot the state of the experiment in the local storage of the browser, so that the session can be resumed
+	 * if it is interrupted.
+	 *
+	 * <p>The snapshot contains the state of the loops (e.g. the sequence of trials of each {@link TrialHandler} and
+	 * the position in that sequence, or the responses given to each {@link StairHandler}), the number of entries
+	 * saved so far and the expInfo. It is keyed by the name of the experiment and the participant, and is taken by
+	 * the {@link ExperimentHandler} after each entry.</p>
+	 *
+	 * <p>The entries are stored separately, each of them only once, so that the cost of a snapshot does not grow
+	 * with the length of the session.</p>
+	 *
+	 * <p>Note: nothing is done if the experiment is not resumable or if the participant is not known.</p>
+	 *
+	 * @public
+	 */
+	saveSnapshot() {
+		const storageKey = this._getSnapshotStorageKey();
+		if (typeof storageKey === 'undefined')
+			return;
+
+		try {
+			const state = this._experiment.getState();
+
+			// note: the state is only stored once its entries have been, so that it never refers to missing entries
+			const entries = this._experiment.getEntries({ start: this._nbSnapshotEntries });
+			for (let e = 0; e < entries.length; ++e)
+				window.localStorage.setItem(storageKey + '_entry' + (this._nbSnapshotEntries + e), JSON.stringify(entries[e]));
+			this._nbSnapshotEntries = state.nbEntries;
+
+			const snapshot = {
+				date: MonotonicClock.getDateStr(),
+				extraInfo: this._experiment.extraInfo,
+				experiment: state
+			};
+			window.localStorage.setItem(storageKey, JSON.stringify(snapshot));
+		}
+		catch (error) {
+			// the local storage might be full or unavailable, e.g. in private browsing mode:
+			this.logger.warn('unable to snapshot the state of the experiment: ' + util.toString(error));
+		}
+	}
+
+
+	/**
+	 * Get the snapshot of an interrupted session of the current participant, if any.
+	 *
+	 * @public
+	 * @return {Object|undefined} the snapshot, with its entries, or undefined if there is none or the experiment is not resumable
+	 */
+	getSnapshot() {
+		const storageKey = this._getSnapshotStorageKey();
+		if (typeof storageKey === 'undefined')
+			return undefined;
+
+		try {
+			const item = window.localStorage.getItem(storageKey);
+			if (item === null)
+				return undefined;
+
+			let snapshot = JSON.parse(item);
+			snapshot.entries = [];
+			for (let e = 0; e < snapshot.experiment.nbEntries; ++e) {
+				const entry = window.localStorage.getItem(storageKey + '_entry' + e);
+				if (entry === null) {
+					this.logger.warn('the snapshot of the experiment is missing entry ' + e);
+					return undefined;
+				}
+				snapshot.entries.push(JSON.parse(entry));
+			}
+
+			return snapshot;
+		}
+		catch (error) {
+			this.logger.warn('unable to read the snapshot of the experiment: ' + util.toString(error));
+			return undefined;
+		}
+	}
+
+
+	/**
+	 * Resume an interrupted session from its snapshot.
+	 *
+	 * <p>The trial data and the expInfo are restored immediately, and the state of each loop is restored when the loop is
+	 * added to the {@link ExperimentHandler}, so that the trials completed before the interruption are not run again.</p>
+	 *
+	 * @public
+	 * @param {Object} snapshot - the snapshot, as returned by [getSnapshot]{@link module:core.PsychoJS#getSnapshot}
+	 */
+	resume(snapshot) {
+		this.logger.info('[PsychoJS] Resume the session interrupted on: ' + snapshot.date);
+
+		// note: we update the expInfo in place since it is shared with the experiment scripts
+		const extraInfo = this._experiment.extraInfo;
+		for (const key in snapshot.extraInfo)
+			if (snapshot.extraInfo.hasOwnProperty(key))
+				extraInfo[key] = snapshot.extraInfo[key];
+
+		this._experiment.setState(snapshot.experiment, snapshot.entries);
+		this._nbSnapshotEntries = snapshot.entries.length;
+	}
+
+
+	/**
+	 * Remove the snapshot of the current participant, e.g. once the session has ended.
+	 *
+	 * @public
+	 */
+	clearSnapshot() {
+		const storageKey = this._getSnapshotStorageKey();
+		if (typeof storageKey === 'undefined')
+			return;
+
+		try {
+			window.localStorage.removeItem(storageKey);
+
+			// note: the entries are stored contiguously, from the first one
+			for (let e = 0; window.localStorage.getItem(storageKey + '_entry' + e) !== null; ++e)
+				window.localStorage.removeItem(storageKey + '_entry' + e);
+			this._nbSnapshotEntries = 0;
+		}
+		catch (error) {
+			this.logger.warn('unable to remove the snapshot of the experiment: ' + util.toString(error));
+		}
+	}
+
+
 	/**
 	 * Make the attributes of the given object those of PsychoJS and those of
 	 * the top level variable (e.g. window) as well.
@@ -279,6 +469,11 @@ export class PsychoJS {
 			// close the session:
 			await this._serverManager.closeSession();
 
+			// the results no longer need to be saved when the page is unloaded, and the session cannot be resumed:
+			this._sessionClosed = true;
+			this._removeUnloadListeners();
+			this.clearSnapshot();
+
 			// stop the main scheduler:
 			this._scheduler.stop();
 
@@ -309,7 +504,14 @@ export class PsychoJS {
 		}
 		catch (error) {
 			console.error(error);
-			this._gui.dialog({ "error": error });
+
+			// the results could not be uploaded: the participant can download them as a last resort
+			if (this._serverManager.getPendingUploads({ currentSession: true }).length > 0) {
+				const self = this;
+				this._gui.dialog({ error, onDownload: () => self._serverManager.offerPendingUploadsForDownload() });
+			}
+			else
+				this._gui.dialog({ "error": error });
 		}
 	}
 
@@ -337,12 +539,12 @@ export class PsychoJS {
 				throw 'missing experiment block in configuration';
 			if (!('name' in this._config.experiment))
 				throw 'missing name in experiment block in configuration';
-			if (!('fullpath' in this._config.experiment))
-				throw 'missing fullpath in experiment block in configuration';
-			if (!('psychoJsManager' in this._config))
-				throw 'missing psychoJsManager block in configuration';
-			if (!('URL' in this._config.psychoJsManager))
-				throw 'missing URL in psychoJsManager block in configuration';
+
+			// set up the backend used to communicate with the server, e.g. the remote PsychoJS manager:
+			const backend = this._serverManager.setupBackend();
+			this._config.environment = backend.environment;
+			if (this._config.environment === ExperimentHandler.Environment.LOCAL)
+				this.logger.info('[PsychoJS] The experiment is run locally.');
 
 			return response;
 		}
@@ -352,6 +554,81 @@ export class PsychoJS {
 	}
 
 
+	/**
+	 * Get the key of the snapshot in the local storage of the browser.
+	 *
+	 * @protected
+	 * @return {string|undefined} the key, based on the name of the experiment and the participant, or undefined if the experiment is not resumable or the participant is not known
+	 */
+	_getSnapshotStorageKey() {
+		if (!this._resumable || typeof this._experiment === 'undefined')
+			return undefined;
+
+		const extraInfo = this._experiment.extraInfo;
+		if (typeof extraInfo !== 'object' || extraInfo === null || !('participant' in extraInfo) || extraInfo.participant === '')
+			return undefined;
+
+		return 'psychojs_snapshot_' + this._config.experiment.name + '_' + extraInfo.participant;
+	}
+
+
+	/**
+	 * Add listeners saving the results and closing the session when the page is unloaded,
+	 * e.g. when the participant closes the browser tab before the end of the experiment.
+	 *
+	 * <p>Note: we listen to both beforeunload and pagehide since neither is fired in all circumstances
+	 * by all browsers, e.g. mobile browsers do not always fire beforeunload.</p>
+	 *
+	 * @protected
+	 */
+	_addUnloadListeners() {
+		const self = this;
+		this._unloadListener = () => self._onUnload();
+
+		window.addEventListener('beforeunload', this._unloadListener);
+		window.addEventListener('pagehide', this._unloadListener);
+	}
+
+
+	/**
+	 * Remove the unload listeners.
+	 *
+	 * @protected
+	 */
+	_removeUnloadListeners() {
+		if (typeof this._unloadListener === 'undefined')
+			return;
+
+		window.removeEventListener('beforeunload', this._unloadListener);
+		window.removeEventListener('pagehide', this._unloadListener);
+		this._unloadListener = undefined;
+	}
+
+
+	/**
+	 * Save the results, marked as incomplete, and close the session while the page is being unloaded.
+	 *
+	 * <p>Note: the requests are sent with navigator.sendBeacon (or fetch with keepalive) since regular
+	 * requests are cancelled when the page is unloaded.</p>
+	 *
+	 * @protected
+	 */
+	_onUnload() {
+		// the results have already been saved, either by quit or by a previous unload event:
+		if (this._sessionClosed)
+			return;
+		this._sessionClosed = true;
+
+		this.logger.info('[PsychoJS] The participant left the experiment before its end.');
+
+		// note: save and closeSession are asynchronous but the requests are sent before they return
+		this._experiment.save({ sync: true, isCompleted: false })
+			.catch(error => console.error(error));
+		this._serverManager.closeSession({ sync: true })
+			.catch(error => console.error(error));
+	}
+
+
 	/**
 	 * Get the IP information of the participant, asynchronously.
 	 *
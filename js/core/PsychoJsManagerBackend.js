@@ -0,0 +1,184 @@
+/**
+ * @file Backend for the PsychoJS manager protocol.
+ *
+ * @author Alain Pitiot
+ * @version 3.0.0b11
+ * @copyright (c) 2018 Ilixa Ltd. ({@link http://ilixa.com})
+ * @license Distributed under the terms of the MIT License
+ */
+
+
+import { ServerBackend } from './ServerBackend';
+
+
+/**
+ * <p>This backend communicates with the remote PsychoJS manager running on the [pavlovia.org]{@link http://pavlovia.org}
+ * server, using <code>?command=open_session|close_session|list_resources|save_data</code> requests on the manager URL.</p>
+ * <p>It is used when the configuration has a psychoJsManager block, or a backend block of type 'psychoJsManager'.</p>
+ *
+ * @name module:core.PsychoJsManagerBackend
+ * @class
+ * @extends ServerBackend
+ * @param {Object} options
+ * @param {PsychoJS} options.psychoJS - the PsychoJS instance
+ * @param {Object.<string, *>} options.config - the backend configuration, which must have a URL
+ * @throws {string} exception if the configuration is incomplete
+ */
+export class PsychoJsManagerBackend extends ServerBackend {
+
+	constructor({
+		psychoJS,
+		config
+	} = {}) {
+		super({ psychoJS, config });
+
+		if (typeof this._config.URL === 'undefined')
+			throw 'missing URL in psychoJsManager block in configuration';
+		if (!('fullpath' in this._psychoJS.config.experiment))
+			throw 'missing fullpath in experiment block in configuration';
+	}
+
+
+	/**
+	 * Open a session for the experiment on the remote PsychoJS manager.
+	 *
+	 * @name module:core.PsychoJsManagerBackend#openSession
+	 * @function
+	 * @public
+	 * @returns {Promise<{token: string}>} the session token
+	 */
+	openSession() {
+		const data = {
+			experimentFullPath: this._psychoJS.config.experiment.fullpath
+		};
+
+		return this._post('open_session', data)
+			.then(data => {
+				if (!('token' in data))
+					throw 'unexpected answer from server: no token';
+
+				return { token: data.token };
+			});
+	}
+
+
+	/**
+	 * Close the session for the experiment on the remote PsychoJS manager.
+	 *
+	 * @name module:core.PsychoJsManagerBackend#closeSession
+	 * @function
+	 * @public
+	 * @param {Object} options
+	 * @param {boolean} [options.sync= false] - whether or not the page is being unloaded
+	 * @returns {Promise<Object>} the answer of the PsychoJS manager
+	 */
+	closeSession({ sync = false } = {}) {
+		const data = {
+			experimentFullPath: this._psychoJS.config.experiment.fullpath,
+			token: this._psychoJS.config.experiment.token
+		};
+
+		return this._post('close_session', data, sync);
+	}
+
+
+	/**
+	 * List the resources available to the experiment on the remote PsychoJS manager.
+	 *
+	 * @name module:core.PsychoJsManagerBackend#listResources
+	 * @function
+	 * @public
+	 * @returns {Promise<{resources: Array.string, resourceDirectory: string}>} the resources and resource directory
+	 */
+	listResources() {
+		const self = this;
+		return new Promise((resolve, reject) => {
+			$.get(self._config.URL, {
+				'command': 'list_resources',
+				'experimentFullPath': self._psychoJS.config.experiment.fullpath,
+				'token': self._psychoJS.config.experiment.token
+			}, null, 'json')
+				.done((data, textStatus) => {
+					// check for error:
+					if ('error' in data)
+						reject(data.error);
+					else if (!('resources' in data))
+						reject('unexpected answer from server: no resources');
+					else if (!('resourceDirectory' in data))
+						reject('unexpected answer from server: no resourceDirectory');
+					else
+						resolve({ resources: data.resources, resourceDirectory: data.resourceDirectory });
+				})
+				.fail((jqXHR, textStatus, errorThrown) => {
+					reject(errorThrown);
+				});
+		});
+	}
+
+
+	/**
+	 * Upload experiment data to the remote PsychoJS manager.
+	 *
+	 * @name module:core.PsychoJsManagerBackend#uploadData
+	 * @function
+	 * @public
+	 * @param {string} key - the data key
+	 * @param {*} value - the data value
+	 * @param {Object} options
+	 * @param {boolean} [options.sync= false] - whether or not the page is being unloaded
+	 * @param {string} [options.token] - the token of the session the data belong to, by default the current session
+	 * @returns {Promise<Object>} the answer of the PsychoJS manager
+	 */
+	uploadData(key, value, { sync = false, token = this._psychoJS.config.experiment.token } = {}) {
+		let data = {
+			experimentFullPath: this._psychoJS.config.experiment.fullpath,
+			token,
+			key,
+			value
+		};
+		// add gitlab ID of experiment if there is one:
+		const gitlabConfig = this._psychoJS.config.gitlab;
+		if (typeof gitlabConfig !== 'undefined' && typeof gitlabConfig.projectId !== 'undefined')
+			data.projectId = gitlabConfig.projectId;
+
+		return this._post('save_data', data, sync);
+	}
+
+
+	/**
+	 * Send a command to the remote PsychoJS manager.
+	 *
+	 * @name module:core.PsychoJsManagerBackend#_post
+	 * @function
+	 * @private
+	 * @param {string} command - the command, e.g. open_session
+	 * @param {Object.<string, *>} data - the data sent alongside the command
+	 * @param {boolean} [sync= false] - whether or not the page is being unloaded
+	 * @returns {Promise<Object>} the answer of the PsychoJS manager
+	 */
+	_post(command, data, sync = false) {
+		// the page is being unloaded: the data are sent url-encoded, as jQuery would
+		if (sync) {
+			let body = new URLSearchParams();
+			for (const field in data)
+				if (typeof data[field] !== 'undefined')
+					body.append(field, data[field]);
+			return this._sendOnUnload(this._config.URL + '?command=' + command, { body });
+		}
+
+		return new Promise((resolve, reject) => {
+			$.post(this._config.URL + '?command=' + command, data, null, 'json')
+				.done((data, textStatus) => {
+					// check for error:
+					if ('error' in data)
+						reject(data.error);
+					else
+						resolve(data);
+				})
+				.fail((jqXHR, textStatus, errorThrown) => {
+					reject('request error: ' + textStatus + ((errorThrown) ? ' (' + errorThrown + ')' : ''));
+				});
+		});
+	}
+
+}
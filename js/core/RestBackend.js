@@ -0,0 +1,226 @@
+/**
+ * @file Backend for generic REST/JSON data servers.
+ *
+ * @author Alain Pitiot
+ * @version 3.0.0b11
+ * @copyright (c) 2018 Ilixa Ltd. ({@link http://ilixa.com})
+ * @license Distributed under the terms of the MIT License
+ */
+
+
+import { ServerBackend } from './ServerBackend';
+import * as util from '../util/Util';
+
+
+/**
+ * <p>This backend communicates with a generic REST server that exchanges JSON documents. With the default endpoints:</p>
+ * <ul>
+ * <li>POST {URL}/sessions with <code>{experimentName, experimentFullPath}</code> returns <code>{token}</code></li>
+ * <li>DELETE {URL}/sessions/{token} closes the session</li>
+ * <li>GET {URL}/resources?experimentName=... returns <code>{resources, resourceDirectory}</code></li>
+ * <li>POST {URL}/data with <code>{experimentName, experimentFullPath, token, key, value}</code> saves the data</li>
+ * </ul>
+ * <p>It is selected with a backend block of type 'rest' in the configuration, e.g.
+ * <code>"backend": { "type": "rest", "URL": "https://data.mylab.org/api", "headers": { "Authorization": "Bearer ..." } }</code>.
+ * The endpoints can be changed with an endpoints block, where {token} is replaced by the session token.</p>
+ *
+ * @name module:core.RestBackend
+ * @class
+ * @extends ServerBackend
+ * @param {Object} options
+ * @param {PsychoJS} options.psychoJS - the PsychoJS instance
+ * @param {Object.<string, *>} options.config - the backend configuration, which must have a URL
+ * @throws {string} exception if the configuration is incomplete
+ */
+export class RestBackend extends ServerBackend {
+
+	constructor({
+		psychoJS,
+		config
+	} = {}) {
+		super({ psychoJS, config });
+
+		if (typeof this._config.URL !== 'string')
+			throw 'missing URL in backend block in configuration';
+
+		// the URL should not end with a slash since the endpoints start with one:
+		this._URL = this._config.URL.replace(/\/+$/, '');
+		this._headers = (typeof this._config.headers === 'object') ? this._config.headers : {};
+		this._endpoints = { ...RestBackend.DefaultEndpoints, ...this._config.endpoints };
+	}
+
+
+	/**
+	 * Open a session for the experiment.
+	 *
+	 * @name module:core.RestBackend#openSession
+	 * @function
+	 * @public
+	 * @returns {Promise<{token: string}>} the session token
+	 */
+	openSession() {
+		return this._request('POST', 'openSession', this._getExperimentInfo())
+			.then(data => {
+				if (typeof data === 'undefined' || !('token' in data))
+					throw 'unexpected answer from server: no token';
+
+				return { token: data.token };
+			});
+	}
+
+
+	/**
+	 * Close the session for the experiment.
+	 *
+	 * @name module:core.RestBackend#closeSession
+	 * @function
+	 * @public
+	 * @param {Object} options
+	 * @param {boolean} [options.sync= false] - whether or not the page is being unloaded
+	 * @returns {Promise<Object|undefined>} the answer of the server, or undefined if no session was opened
+	 */
+	closeSession({ sync = false } = {}) {
+		// there is nothing to close if no session was opened, e.g. because opening it failed:
+		if (typeof this._psychoJS.config.experiment.token === 'undefined')
+			return Promise.resolve(undefined);
+
+		return this._request('DELETE', 'closeSession', undefined, sync);
+	}
+
+
+	/**
+	 * List the resources available to the experiment.
+	 *
+	 * @name module:core.RestBackend#listResources
+	 * @function
+	 * @public
+	 * @returns {Promise<{resources: Array.string, resourceDirectory: string}>} the resources and resource directory
+	 */
+	listResources() {
+		return this._request('GET', 'listResources', this._getExperimentInfo())
+			.then(data => {
+				if (typeof data === 'undefined' || !Array.isArray(data.resources))
+					throw 'unexpected answer from server: no resources';
+
+				const resourceDirectory = ('resourceDirectory' in data) ? data.resourceDirectory : '';
+				return { resources: data.resources, resourceDirectory };
+			});
+	}
+
+
+	/**
+	 * Upload experiment data.
+	 *
+	 * @name module:core.RestBackend#uploadData
+	 * @function
+	 * @public
+	 * @param {string} key - the data key
+	 * @param {*} value - the data value
+	 * @param {Object} options
+	 * @param {boolean} [options.sync= false] - whether or not the page is being unloaded
+	 * @param {string} [options.token] - the token of the session the data belong to, by default the current session
+	 * @returns {Promise<Object>} the answer of the server
+	 */
+	uploadData(key, value, { sync = false, token = this._psychoJS.config.experiment.token } = {}) {
+		return this._request('POST', 'uploadData', {
+			...this._getExperimentInfo(),
+			token,
+			key,
+			value
+		}, sync, token);
+	}
+
+
+	/**
+	 * Get the information identifying the experiment on the server.
+	 *
+	 * @name module:core.RestBackend#_getExperimentInfo
+	 * @function
+	 * @private
+	 * @returns {Object.<string, string>} the experiment name and full path
+	 */
+	_getExperimentInfo() {
+		const experimentConfig = this._psychoJS.config.experiment;
+		return {
+			experimentName: experimentConfig.name,
+			experimentFullPath: experimentConfig.fullpath
+		};
+	}
+
+
+	/**
+	 * Send a request to the server.
+	 *
+	 * <p>Note: data are sent as query parameters for GET requests, and as a JSON body otherwise. The request is
+	 * rejected without being sent if the endpoint includes the session token and there is none.</p>
+	 *
+	 * @name module:core.RestBackend#_request
+	 * @function
+	 * @private
+	 * @param {string} method - the HTTP method
+	 * @param {string} endpoint - the name of the endpoint, e.g. openSession
+	 * @param {Object.<string, *>} [data] - the data sent with the request
+	 * @param {boolean} [sync= false] - whether or not the page is being unloaded
+	 * @param {string} [token] - the session token, by default that of the current session
+	 * @returns {Promise<Object>} the answer of the server
+	 */
+	_request(method, endpoint, data, sync = false, token = this._psychoJS.config.experiment.token) {
+		if (this._endpoints[endpoint].indexOf('{token}') !== -1 && typeof token === 'undefined')
+			return Promise.reject('no session token for endpoint: ' + endpoint);
+
+		const url = this._URL + this._endpoints[endpoint].replace('{token}', encodeURIComponent(token));
+
+		// the page is being unloaded:
+		if (sync) {
+			const body = (typeof data !== 'undefined') ? JSON.stringify(data) : undefined;
+			const headers = (typeof data !== 'undefined') ? { ...this._headers, 'Content-Type': 'application/json' } : this._headers;
+			return this._sendOnUnload(url, { method, body, headers });
+		}
+
+		let settings = {
+			url,
+			method,
+			headers: this._headers,
+			dataType: 'json'
+		};
+		if (typeof data !== 'undefined') {
+			if (method === 'GET')
+				settings.data = data;
+			else {
+				settings.data = JSON.stringify(data);
+				settings.contentType = 'application/json';
+			}
+		}
+
+		return new Promise((resolve, reject) => {
+			$.ajax(settings)
+				.done((data, textStatus) => {
+					// check for error:
+					if (typeof data === 'object' && data !== null && 'error' in data)
+						reject(data.error);
+					else
+						resolve(data);
+				})
+				.fail((jqXHR, textStatus, errorThrown) => {
+					reject('request error: ' + method + ' ' + url + ': ' + textStatus + ((errorThrown) ? ' (' + util.toString(errorThrown) + ')' : ''));
+				});
+		});
+	}
+
+}
+
+
+/**
+ * The default endpoints of the REST server, relative to its URL.
+ *
+ * @name module:core.RestBackend#DefaultEndpoints
+ * @readonly
+ * @public
+ * @type {Object.<string, string>}
+ */
+RestBackend.DefaultEndpoints = {
+	openSession: '/sessions',
+	closeSession: '/sessions/{token}',
+	listResources: '/resources',
+	uploadData: '/data'
+};
@@ -0,0 +1,207 @@
+/**
+ * @file Base class for the backends used by the ServerManager.
+ *
+ * @author Alain Pitiot
+ * @version 3.0.0b11
+ * @copyright (c) 2018 Ilixa Ltd. ({@link http://ilixa.com})
+ * @license Distributed under the terms of the MIT License
+ */
+
+
+import { ExperimentHandler } from '../data/ExperimentHandler';
+
+
+/**
+ * <p>A ServerBackend implements the communication protocol between the {@link ServerManager} and a particular
+ * data server: opening and closing sessions, listing and locating resources, and uploading data.</p>
+ * <p>All methods return Promises that resolve with the answer of the server, or reject with an error. The ServerManager
+ * is responsible for keeping track of its status and for adding context to those errors.</p>
+ * <p>closeSession and uploadData can also be called with <code>sync: true</code> while the page is being unloaded,
+ * in which case the request is sent in a way that survives the unloading and the Promise resolves immediately.</p>
+ * <p>Backends are selected with the backend block of the configuration file, e.g.
+ * <code>"backend": { "type": "rest", "URL": "https://data.mylab.org/api" }</code>. Additional backends can be
+ * registered with [ServerManager.registerBackend]{@link module:core.ServerManager.registerBackend}.</p>
+ *
+ * @name module:core.ServerBackend
+ * @class
+ * @param {Object} options
+ * @param {PsychoJS} options.psychoJS - the PsychoJS instance
+ * @param {Object.<string, *>} [options.config= {}] - the backend block of the configuration
+ */
+export class ServerBackend {
+
+	/**
+	 * Getter for the environment in which the experiment is run with this backend.
+	 *
+	 * @name module:core.ServerBackend#environment
+	 * @function
+	 * @public
+	 */
+	get environment() { return ExperimentHandler.Environment.SERVER; }
+
+
+	constructor({
+		psychoJS,
+		config = {}
+	} = {}) {
+		this._psychoJS = psychoJS;
+		this._config = config;
+	}
+
+
+	/**
+	 * Open a session for the experiment.
+	 *
+	 * @name module:core.ServerBackend#openSession
+	 * @function
+	 * @abstract
+	 * @public
+	 * @returns {Promise<{token: string}>} the session token
+	 */
+	openSession() {
+		return Promise.reject('openSession is abstract and should not be called');
+	}
+
+
+	/**
+	 * Close the session for the experiment.
+	 *
+	 * @name module:core.ServerBackend#closeSession
+	 * @function
+	 * @abstract
+	 * @public
+	 * @param {Object} options
+	 * @param {boolean} [options.sync= false] - whether or not the page is being unloaded
+	 * @returns {Promise<Object>} the answer of the server
+	 */
+	closeSession({ sync = false } = {}) {
+		return Promise.reject('closeSession is abstract and should not be called');
+	}
+
+
+	/**
+	 * List the resources available to the experiment.
+	 *
+	 * @name module:core.ServerBackend#listResources
+	 * @function
+	 * @abstract
+	 * @public
+	 * @returns {Promise<{resources: Array.string, resourceDirectory: string}>} the names of the resources and the directory they are downloaded from
+	 */
+	listResources() {
+		return Promise.reject('listResources is abstract and should not be called');
+	}
+
+
+	/**
+	 * Get the URL from which a resource is downloaded.
+	 *
+	 * @name module:core.ServerBackend#getResourceURL
+	 * @function
+	 * @public
+	 * @param {string} resourceName - the name of the resource
+	 * @param {string} resourceDirectory - the resource directory returned by listResources
+	 * @returns {string} the URL of the resource
+	 */
+	getResourceURL(resourceName, resourceDirectory) {
+		return resourceDirectory + resourceName;
+	}
+
+
+	/**
+	 * Upload experiment data.
+	 *
+	 * @name module:core.ServerBackend#uploadData
+	 * @function
+	 * @abstract
+	 * @public
+	 * @param {string} key - the data key, e.g. the name of the data file
+	 * @param {*} value - the data value
+	 * @param {Object} options
+	 * @param {boolean} [options.sync= false] - whether or not the page is being unloaded
+	 * @param {string} [options.token] - the token of the session the data belong to, by default the current session
+	 * @returns {Promise<Object>} the answer of the server
+	 */
+	uploadData(key, value, { sync = false, token } = {}) {
+		return Promise.reject('uploadData is abstract and should not be called');
+	}
+
+
+	/**
+	 * Send a request that survives the unloading of the page.
+	 *
+	 * <p>We use navigator.sendBeacon when possible, and fetch with keepalive otherwise, e.g. when the request has
+	 * custom headers. Since the page is being unloaded, the answer of the server is not available.</p>
+	 * <p>Browsers limit the size of such requests (see {@link ServerBackend.MaxUnloadRequestSize}): larger requests, and
+	 * requests that the browser declines to queue, are not sent and the Promise rejects, so that the caller can keep
+	 * the data for later.</p>
+	 *
+	 * @name module:core.ServerBackend#_sendOnUnload
+	 * @function
+	 * @protected
+	 * @param {string} url - the URL
+	 * @param {Object} options
+	 * @param {string} [options.method= 'POST'] - the HTTP method
+	 * @param {string|URLSearchParams|Blob} [options.body] - the body of the request
+	 * @param {Object.<string, string>} [options.headers= {}] - the headers of the request
+	 * @returns {Promise<Object>} an empty answer, or an error if the request could not be sent
+	 */
+	_sendOnUnload(url, {
+		method = 'POST',
+		body,
+		headers = {}
+	} = {}) {
+		const size = ServerBackend._getBodySize(body);
+		if (size > ServerBackend.MaxUnloadRequestSize)
+			return Promise.reject('the request is too large (' + size + ' bytes) to be sent while the page is being unloaded');
+
+		if (method === 'POST' && Object.keys(headers).length === 0 && typeof navigator.sendBeacon === 'function') {
+			if (navigator.sendBeacon(url, body))
+				return Promise.resolve({});
+
+			// note: sendBeacon and fetch with keepalive share the same quota, so there is no point trying the latter
+			return Promise.reject('the browser declined to send the request while the page is being unloaded');
+		}
+
+		if (typeof fetch === 'function') {
+			// note: the answer of the server, or the failure of the request, cannot be known before the page is unloaded
+			fetch(url, { method, body, headers, keepalive: true }).catch(() => {});
+			return Promise.resolve({});
+		}
+
+		return Promise.reject('unable to send a request while the page is being unloaded');
+	}
+
+
+	/**
+	 * Get the size of the body of a request.
+	 *
+	 * @name module:core.ServerBackend._getBodySize
+	 * @function
+	 * @static
+	 * @private
+	 * @param {string|URLSearchParams|Blob|undefined} body - the body of the request
+	 * @returns {number} the size of the body (in bytes)
+	 */
+	static _getBodySize(body) {
+		if (typeof body === 'undefined' || body === null)
+			return 0;
+		if (body instanceof Blob)
+			return body.size;
+
+		return new Blob([body.toString()]).size;
+	}
+
+}
+
+
+/**
+ * <p>Maximum size of the requests sent while the page is being unloaded (in bytes).</p>
+ *
+ * <p>Note: browsers allow 64kB for all the pending requests of the page, headers included, so we keep some margin.</p>
+ *
+ * @name module:core.ServerBackend.MaxUnloadRequestSize
+ * @type {number}
+ * @public
+ */
+ServerBackend.MaxUnloadRequestSize = 60000;
@@ -10,6 +10,10 @@
 
 import { PsychoJS } from './PsychoJS';
 import { PsychObject } from '../util/PsychObject';
+import { PsychoJsManagerBackend } from './PsychoJsManagerBackend';
+import { RestBackend } from './RestBackend';
+import { LocalBackend } from './LocalBackend';
+import { ExperimentHandler } from '../data/ExperimentHandler';
 import * as util from '../util/Util';
 // import { Howl } from 'howler';
 
@@ -18,6 +22,7 @@ import * as util from '../util/Util';
 /**
  * <p>This manager handles all communications between the experiment running in the participant's browser and the remote PsychoJS manager running on the [pavlovia.org]{@link http://pavlovia.org} server, <em>in an asynchronous manner</em>.</p>
  * <p>It is responsible for reading the configuration file of an experiment, for opening and closing a session, for listing and downloading resources, and for uploading results and log.</p>
+ * <p>The actual communication with the server is delegated to a {@link ServerBackend}, which is selected from the backend block of the configuration (see [setupBackend]{@link module:core.ServerManager#setupBackend}). When the experiment is run locally (i.e. its configuration has neither a psychoJsManager nor a backend block), sessions are not opened on a server, resources are those listed in the configuration, and results are offered for download.</p>
  * <p>Note: The Server Manager uses [Promises]{@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise} to deal with asynchronicity, is mostly called by {@link PsychoJS}, and is not exposed to the experiment code.</p>
  * 
  * @name module:core.ServerManager
@@ -28,7 +33,17 @@ import * as util from '../util/Util';
  * @param {boolean} [options.autoLog= false] - whether or not to log
  */
 export class ServerManager extends PsychObject {
-	
+
+	/**
+	 * Getter for the backend.
+	 *
+	 * @name module:core.ServerManager#backend
+	 * @function
+	 * @public
+	 */
+	get backend() { return this._backend; }
+
+
 	constructor({
 		psychoJS,
 		autoLog = false
@@ -38,6 +53,9 @@ export class ServerManager extends PsychObject {
 		// session:
 		this._session = {};
 
+		// backend, set up once the configuration has been read:
+		this._backend = undefined;
+
 		// resources:
 		this._resourceDirectory = undefined;
 		this._resourcesMap = new Map();
@@ -84,6 +102,63 @@ export class ServerManager extends PsychObject {
 	}
 
 
+	/**
+	 * Set up the backend used to communicate with the server, based on the configuration of the experiment.
+	 *
+	 * <p>The backend is given by the type of the backend block of the configuration, e.g.
+	 * <code>"backend": { "type": "rest", "URL": "https://data.mylab.org/api" }</code>. If there is no backend block,
+	 * the PsychoJS manager backend is used when there is a psychoJsManager block, and the local backend otherwise.</p>
+	 *
+	 * @name module:core.ServerManager#setupBackend
+	 * @function
+	 * @public
+	 * @return {ServerBackend} the backend
+	 * @throws {Object.<string, *>} exception if the backend type is unknown or its configuration is incomplete
+	 */
+	setupBackend() {
+		const config = this._psychoJS.config;
+
+		let backendConfig = config.backend;
+		if (typeof backendConfig === 'undefined') {
+			if ('psychoJsManager' in config)
+				backendConfig = { type: 'psychoJsManager', ...config.psychoJsManager };
+			else
+				backendConfig = { type: 'local' };
+		}
+
+		let response = { origin: 'ServerManager.setupBackend', context: 'when setting up the backend of type: ' + backendConfig.type };
+
+		try {
+			const backendClass = ServerManager._backends.get(backendConfig.type);
+			if (typeof backendClass === 'undefined')
+				throw 'unknown backend type';
+
+			this._backend = new backendClass({ psychoJS: this._psychoJS, config: backendConfig });
+			this._psychoJS.logger.debug('backend: ' + backendConfig.type);
+
+			return this._backend;
+		}
+		catch (error) {
+			throw { ...response, error };
+		}
+	}
+
+
+	/**
+	 * Register a backend type, which can then be selected from the backend block of the configuration.
+	 *
+	 * @name module:core.ServerManager.registerBackend
+	 * @function
+	 * @static
+	 * @public
+	 * @param {string} type - the backend type
+	 * @param {Function} backendClass - the backend class, which should extend {@link ServerBackend}
+	 */
+	static registerBackend(type, backendClass) {
+		ServerManager._backends.set(type, backendClass);
+	}
+
+
 	/**
 	 * @typedef ServerManager.OpenSessionPromise
 	 * @property {string} origin the calling method
@@ -99,42 +174,24 @@ export class ServerManager extends PsychObject {
 	 * @public
 	 * @returns {Promise<ServerManager.OpenSessionPromise>} the response
 	 */
-	openSession() {
+	async openSession() {
 		let response = { origin: 'ServerManager.openSession', context: 'when opening a session for experiment: ' + this._psychoJS.config.experiment.name };
 
 		this._psychoJS.logger.debug('opening a session for experiment: ' + this._psychoJS.config.experiment.name);
 
 		this.setStatus(ServerManager.Status.BUSY);
 
-		let self = this;
-		return new Promise((resolve, reject) => {
-			const data = {
-				experimentFullPath: self._psychoJS.config.experiment.fullpath
-			};
-			$.post(this._psychoJS.config.psychoJsManager.URL + '?command=open_session', data, null, 'json')
-				.done((data, textStatus) => {
-					// check for error:
-					if ('error' in data) {
-						self.setStatus(ServerManager.Status.ERROR);
-						reject({ ...response, error: data.error });
-					}
-
-					// get session token:
-					if ('token' in data) {
-						self._psychoJS.config.experiment.token = data.token;
-						self.setStatus(ServerManager.Status.READY);
-						resolve({ ...response, token: data.token });
-					}
-					else {
-						self.setStatus(ServerManager.Status.ERROR);
-						reject({ ...response, error: 'unexpected answer from server: no token' });
-					}
-				})
-				.fail((jqXHR, textStatus, errorThrown) => {
-					self.setStatus(ServerManager.Status.ERROR);
-					reject({ ...response, error: 'request error: ' + textStatus });
-				});
-		});
+		try {
+			const { token } = await this._backend.openSession();
+			this._psychoJS.config.experiment.token = token;
+
+			this.setStatus(ServerManager.Status.READY);
+			return { ...response, token };
+		}
+		catch (error) {
+			this.setStatus(ServerManager.Status.ERROR);
+			throw { ...response, error };
+		}
 	}
 
 
@@ -150,37 +207,27 @@ export class ServerManager extends PsychObject {
 	 * @name module:core.ServerManager#closeSession
 	 * @function
 	 * @public
+	 * @param {Object} options
+	 * @param {boolean} [options.sync= false] - whether or not the page is being unloaded, in which case the request is sent with navigator.sendBeacon (or fetch with keepalive) and the answer of the server is not available
 	 * @returns {Promise<ServerManager.CloseSessionPromise>} the response
 	 */
-	closeSession() {
+	async closeSession({ sync = false } = {}) {
 		let response = { origin: 'ServerManager.closeSession', context: 'when closing the session for experiment: ' + this._psychoJS.config.experiment.name };
 
 		this._psychoJS.logger.debug('closing the session for experiment: ' + this._psychoJS.config.experiment.name);
 
 		this.setStatus(ServerManager.Status.BUSY);
 
-		let self = this;
-		return new Promise((resolve, reject) => {
-			const data = {
-				experimentFullPath: self._psychoJS.config.experiment.fullpath,
-				'token': self._psychoJS.config.experiment.token
-			};
-			$.post(this._psychoJS.config.psychoJsManager.URL + '?command=close_session', data, null, 'json')
-				.done((data, textStatus) => {
-					// check for error:
-					if ('error' in data) {
-						self.setStatus(ServerManager.Status.ERROR);
-						reject({ ...response, error: data.error });
-					}
+		try {
+			const data = await this._backend.closeSession({ sync });
 
-					self.setStatus(ServerManager.Status.READY);
-					resolve({ ...response, data });
-				})
-				.fail((jqXHR, textStatus, errorThrown) => {
-					self.setStatus(ServerManager.Status.ERROR);
-					reject({ ...response, error: errorThrown });
-				});
-		});
+			this.setStatus(ServerManager.Status.READY);
+			return { ...response, data };
+		}
+		catch (error) {
+			this.setStatus(ServerManager.Status.ERROR);
+			throw { ...response, error };
+		}
 	}
 
 
@@ -293,53 +340,309 @@ export class ServerManager extends PsychObject {
 	 */
 	/**
 	 * Asynchronously upload experiment data to the remote PsychoJS manager.
+	 *
+	 * <p>Failed uploads are retried with an exponential backoff: the delay between two attempts starts at
+	 * upload.initialDelay seconds and is multiplied by upload.backoffFactor after each attempt, up to
+	 * upload.maxAttempts attempts (see the upload block of the configuration and {@link ServerManager.UploadPolicy}).</p>
+	 * <p>Until they have been uploaded, the data are kept in a persistent outbox in the browser's local storage,
+	 * so that they are not lost if all attempts fail or if the page is closed. The outbox is flushed when the
+	 * experiment is next started in the same browser. This is also where the data go when they cannot be sent while
+	 * the page is being unloaded, e.g. because they exceed the size limit of such requests.</p>
 	 * 
 	 * @name module:core.ServerManager#uploadData
 	 * @function
 	 * @public
 	 * @param {string} key the data key
 	 * @param {*} value the data value
+	 * @param {Object} options
+	 * @param {boolean} [options.sync= false] - whether or not the page is being unloaded, in which case the data are sent with navigator.sendBeacon (or fetch with keepalive) and the answer of the server is not available
 	 * 
 	 * @returns {Promise<ServerManager.UploadDataPromise>} the response
 	 */
-	uploadData(key, value) {
+	async uploadData(key, value, { sync = false } = {}) {
 		let response = { origin: 'ServerManager.uploadData', context: 'when uploading participant\' results for experiment: ' + this._psychoJS.config.experiment.name };
 
 		this._psychoJS.logger.debug('uploading data for experiment: ' + this._psychoJS.config.experiment.name);
 		this.setStatus(ServerManager.Status.BUSY);
 
-		let data = {
-			experimentFullPath: this._psychoJS.config.experiment.fullpath,
-			token: this._psychoJS.config.experiment.token,
-			key,
-			value
-		};
-		// add gitlab ID of experiment if there is one:
-		const gitlabConfig = this._psychoJS.config.gitlab;
-		if (typeof gitlabConfig !== 'undefined' && typeof gitlabConfig.projectId !== 'undefined')
-			data.projectId = gitlabConfig.projectId;
+		// the page is being unloaded or the data are offered for download: there is a single attempt
+		if (sync || this._backend.environment === ExperimentHandler.Environment.LOCAL) {
+			try {
+				const data = await this._backend.uploadData(key, value, { sync });
 
+				this.setStatus(ServerManager.Status.READY);
+				return { ...response, data };
+			}
+			catch (error) {
+				// the data could not be sent while the page is being unloaded, e.g. because they are too large:
+				// they are kept in the outbox, to be uploaded when the experiment is next started in this browser
+				if (sync && this._backend.environment !== ExperimentHandler.Environment.LOCAL) {
+					this._addToOutbox(key, value);
+					this._psychoJS.logger.warn('unable to upload ' + key + ' while the page is being unloaded, the data are kept in the outbox: ' + util.toString(error));
+				}
 
-		// (*) upload data:
-		const self = this;
-		return new Promise((resolve, reject) => {
-			$.post(this._psychoJS.config.psychoJsManager.URL + '?command=save_data', data, null, 'json')
-				.done((data, textStatus) => {
-					// check for error:
-					if ('error' in data) {
-						self.setStatus(ServerManager.Status.ERROR);
-						reject({ ...response, error: data.error });
-					}
-
-					// return the response from the PsychoJS manager:
-					self.setStatus(ServerManager.Status.READY);
-					resolve({ ...response, data });
-				})
-				.fail((jqXHR, textStatus, errorThrown) => {
-					self.setStatus(ServerManager.Status.ERROR);
-					reject({ ...response, error: errorThrown });
-				});
-		});
+				this.setStatus(ServerManager.Status.ERROR);
+				throw { ...response, error };
+			}
+		}
+
+		// keep the data in the outbox until they have been uploaded:
+		const uploadId = this._addToOutbox(key, value);
+
+		try {
+			const data = await this._uploadWithRetries(key, value);
+			this._removeFromOutbox(uploadId);
+
+			// return the response from the server:
+			this.setStatus(ServerManager.Status.READY);
+			return { ...response, data };
+		}
+		catch (error) {
+			this.setStatus(ServerManager.Status.ERROR);
+			throw { ...response, error };
+		}
+	}
+
+
+	/**
+	 * Get the uploads that have not completed yet, including, optionally, those left over from previous runs of
+	 * the experiment in this browser.
+	 *
+	 * @name module:core.ServerManager#getPendingUploads
+	 * @function
+	 * @public
+	 * @param {Object} options
+	 * @param {boolean} [options.currentSession= false] - whether or not to only return the uploads of the current session
+	 * @return {Array.<{id: string, key: string, value: *, time: number, token: string}>} the pending uploads, with the token of the session they belong to
+	 */
+	getPendingUploads({ currentSession = false } = {}) {
+		const outbox = this._readOutbox();
+		if (!currentSession)
+			return outbox;
+
+		const token = this._psychoJS.config.experiment.token;
+		return outbox.filter(upload => upload.token === token);
+	}
+
+
+	/**
+	 * Upload the data left in the outbox by previous runs of the experiment in this browser.
+	 *
+	 * <p>The data are uploaded under the session they belong to, and not under the current one, since they may
+	 * well have been collected from another participant.</p>
+	 *
+	 * <p>Note: this should be called once a session has been opened.</p>
+	 *
+	 * @name module:core.ServerManager#flushPendingUploads
+	 * @function
+	 * @public
+	 * @returns {Promise<number>} the number of pending uploads that could be uploaded
+	 */
+	async flushPendingUploads() {
+		if (this._backend.environment === ExperimentHandler.Environment.LOCAL)
+			return 0;
+
+		const token = this._psychoJS.config.experiment.token;
+		const pendingUploads = this._readOutbox().filter(upload => upload.token !== token);
+		if (pendingUploads.length > 0)
+			this._psychoJS.logger.info('[PsychoJS] Uploading ' + pendingUploads.length + ' data files left over from previous runs.');
+
+		let nbUploaded = 0;
+		for (const upload of pendingUploads) {
+			try {
+				await this._uploadWithRetries(upload.key, upload.value, upload.token);
+				this._removeFromOutbox(upload.id);
+				++ nbUploaded;
+			}
+			catch (error) {
+				this._psychoJS.logger.warn('unable to upload pending data file: ' + upload.key + ': ' + util.toString(error));
+			}
+		}
+
+		return nbUploaded;
+	}
+
+
+	/**
+	 * Offer the pending uploads to the participant as file downloads.
+	 *
+	 * <p>This is the last resort when the data could not be uploaded, e.g. the participant can then send the files
+	 * to the experimenter. Only the data of the current session are offered, since those left over from previous
+	 * runs may belong to other participants.</p>
+	 *
+	 * @name module:core.ServerManager#offerPendingUploadsForDownload
+	 * @function
+	 * @public
+	 * @returns {Promise<Array.<ServerManager.UploadDataPromise>>} the responses
+	 */
+	offerPendingUploadsForDownload() {
+		const downloads = this.getPendingUploads({ currentSession: true }).map(upload => this.offerDataForDownload(upload.key, upload.value));
+		return Promise.all(downloads);
+	}
+
+
+	/**
+	 * Offer data to the participant as a file download.
+	 *
+	 * <p>This is used to save the results of experiments run locally, i.e. without a remote PsychoJS manager.</p>
+	 *
+	 * @name module:core.ServerManager#offerDataForDownload
+	 * @function
+	 * @public
+	 * @param {string} filename - the name of the file
+	 * @param {string} data - the data
+	 * @param {string} [type= 'text/plain'] - the MIME type of the data
+	 *
+	 * @returns {Promise<ServerManager.UploadDataPromise>} the response
+	 */
+	offerDataForDownload(filename, data, type = 'text/plain') {
+		let response = { origin: 'ServerManager.offerDataForDownload', context: 'when offering data for download: ' + filename };
+
+		this._psychoJS.logger.debug('offering data for download: ' + filename);
+
+		try {
+			const blob = new Blob([data], { type });
+			const anchor = document.createElement('a');
+			anchor.href = window.URL.createObjectURL(blob);
+			anchor.download = filename;
+			document.body.appendChild(anchor);
+			anchor.click();
+			document.body.removeChild(anchor);
+
+			// give the browser time to start the download before releasing the object URL:
+			setTimeout(() => window.URL.revokeObjectURL(anchor.href), 1000);
+
+			return Promise.resolve({ ...response });
+		}
+		catch (error) {
+			return Promise.reject({ ...response, error });
+		}
+	}
+
+
+	/**
+	 * Upload data with the backend, retrying with an exponential backoff if need be.
+	 *
+	 * @name module:core.ServerManager#_uploadWithRetries
+	 * @function
+	 * @private
+	 * @param {string} key - the data key
+	 * @param {*} value - the data value
+	 * @param {string} [token] - the token of the session the data belong to, by default the current session
+	 * @returns {Promise<Object>} the answer of the server
+	 */
+	async _uploadWithRetries(key, value, token = this._psychoJS.config.experiment.token) {
+		const policy = { ...ServerManager.UploadPolicy, ...this._psychoJS.config.upload };
+
+		let delay = policy.initialDelay;
+		for (let attempt = 1; ; ++attempt) {
+			try {
+				return await this._backend.uploadData(key, value, { token });
+			}
+			catch (error) {
+				if (attempt >= policy.maxAttempts)
+					throw error;
+
+				this._psychoJS.logger.warn('attempt ' + attempt + ' to upload ' + key + ' failed, retrying in ' + delay + 's: ' + util.toString(error));
+				await new Promise(resolve => setTimeout(resolve, delay * 1000));
+				delay = Math.min(delay * policy.backoffFactor, policy.maxDelay);
+			}
+		}
+	}
+
+
+	/**
+	 * Add data to the outbox.
+	 *
+	 * @name module:core.ServerManager#_addToOutbox
+	 * @function
+	 * @private
+	 * @param {string} key - the data key
+	 * @param {*} value - the data value
+	 * @return {string} the id of the upload in the outbox
+	 */
+	_addToOutbox(key, value) {
+		const id = Date.now() + '_' + (ServerManager._nbOutboxEntries++) + '_' + key;
+
+		// note: the token identifies the session the data belong to
+		let outbox = this._readOutbox();
+		outbox.push({ id, key, value, time: Date.now(), token: this._psychoJS.config.experiment.token });
+		this._writeOutbox(outbox);
+
+		return id;
+	}
+
+
+	/**
+	 * Remove an upload from the outbox.
+	 *
+	 * @name module:core.ServerManager#_removeFromOutbox
+	 * @function
+	 * @private
+	 * @param {string} id - the id of the upload
+	 */
+	_removeFromOutbox(id) {
+		const outbox = this._readOutbox().filter(upload => upload.id !== id);
+		this._writeOutbox(outbox);
+	}
+
+
+	/**
+	 * Read the outbox from the local storage.
+	 *
+	 * @name module:core.ServerManager#_readOutbox
+	 * @function
+	 * @private
+	 * @return {Array.<Object>} the uploads in the outbox
+	 */
+	_readOutbox() {
+		try {
+			const outbox = window.localStorage.getItem(this._getOutboxStorageKey());
+			return (outbox === null) ? [] : JSON.parse(outbox);
+		}
+		catch (error) {
+			this._psychoJS.logger.warn('unable to read the outbox: ' + util.toString(error));
+			return [];
+		}
+	}
+
+
+	/**
+	 * Write the outbox to the local storage.
+	 *
+	 * <p>Note: if the local storage is unavailable or full, the data are not persisted but the upload
+	 * still takes place.</p>
+	 *
+	 * @name module:core.ServerManager#_writeOutbox
+	 * @function
+	 * @private
+	 * @param {Array.<Object>} outbox - the uploads in the outbox
+	 */
+	_writeOutbox(outbox) {
+		try {
+			if (outbox.length === 0)
+				window.localStorage.removeItem(this._getOutboxStorageKey());
+			else
+				window.localStorage.setItem(this._getOutboxStorageKey(), JSON.stringify(outbox));
+		}
+		catch (error) {
+			this._psychoJS.logger.warn('unable to write the outbox: ' + util.toString(error));
+		}
+	}
+
+
+	/**
+	 * Get the local storage key of the outbox, which is specific to the experiment.
+	 *
+	 * @name module:core.ServerManager#_getOutboxStorageKey
+	 * @function
+	 * @private
+	 * @return {string} the key
+	 */
+	_getOutboxStorageKey() {
+		const experimentConfig = this._psychoJS.config.experiment;
+		const experimentId = ('fullpath' in experimentConfig) ? experimentConfig.fullpath : experimentConfig.name;
+		return 'psychojs_outbox_' + experimentId;
 	}
 
 
@@ -350,42 +653,23 @@ export class ServerManager extends PsychObject {
 	 * @function
 	 * @private
 	 */
-	_listResources() {
+	async _listResources() {
 		let response = { origin: 'ServerManager._listResourcesSession', context: 'when listing the resources for experiment: ' + this._psychoJS.config.experiment.name };
 
 		this._psychoJS.logger.debug('listing the resources for experiment: ' + this._psychoJS.config.experiment.name);
 
 		this.setStatus(ServerManager.Status.BUSY);
 
-		const self = this;
-		return new Promise((resolve, reject) => {
-			$.get(self._psychoJS.config.psychoJsManager.URL, {
-				'command': 'list_resources',
-				'experimentFullPath': self._psychoJS.config.experiment.fullpath,
-				'token': self._psychoJS.config.experiment.token
-			}, null, 'json')
-				.done((data, textStatus) => {
-					// check for error:
-					if ('error' in data)
-						reject({ ...response, error: data.error });
-
-					if (!('resources' in data)) {
-						self.setStatus(ServerManager.Status.ERROR);
-						reject({ ...response, error: 'unexpected answer from server: no resources' });
-					}
-					if (!('resourceDirectory' in data)) {
-						self.setStatus(ServerManager.Status.ERROR);
-						reject({ ...response, error: 'unexpected answer from server: no resourceDirectory' });
-					}
+		try {
+			const { resources, resourceDirectory } = await this._backend.listResources();
 
-					self.setStatus(ServerManager.Status.READY);
-					resolve({ ...response, resources: data.resources, resourceDirectory: data.resourceDirectory });
-				})
-				.fail((jqXHR, textStatus, errorThrown) => {
-					self.setStatus(ServerManager.Status.ERROR);
-					reject({ ...response, error: errorThrown });
-				});
-		});
+			this.setStatus(ServerManager.Status.READY);
+			return { ...response, resources, resourceDirectory };
+		}
+		catch (error) {
+			this.setStatus(ServerManager.Status.ERROR);
+			throw { ...response, error };
+		}
 	}
 
 
@@ -408,7 +692,9 @@ export class ServerManager extends PsychObject {
 
 
 		// (*) set-up preload.js:
-		this._resourceQueue = new createjs.LoadQueue(true, this._psychoJS.config.experiment.resourceDirectory);
+		// note: the backend gives the full URL of each resource, so the queue has no base path
+		this._resourceQueue = new createjs.LoadQueue(true);
+		const resourceDirectory = this._psychoJS.config.experiment.resourceDirectory;
 
 		const self = this;
 		this._resourceQueue.addEventListener("filestart", event => {
@@ -444,9 +730,9 @@ export class ServerManager extends PsychObject {
 		for (const resourceName of this._resourcesMap.keys()) {
 			const resourceExtension = resourceName.split('.').pop();
 
-			// preload.js with forced binary for xls and xlsx:
-			if (['csv', 'odp', 'xls', 'xlsx'].indexOf(resourceExtension) > -1)
-				manifest.push({ id: resourceName, src: resourceName, type: createjs.Types.BINARY });
+			// preload.js with forced binary for condition files:
+			if (['csv', 'tsv', 'odp', 'xls', 'xlsx'].indexOf(resourceExtension) > -1)
+				manifest.push({ id: resourceName, src: this._backend.getResourceURL(resourceName, resourceDirectory), type: createjs.Types.BINARY });
 
 			// sound files are loaded through howler.js:
 			else if (['mp3', 'mpeg', 'opus', 'ogg', 'oga', 'wav', 'aac', 'caf', 'm4a', 'mp4', 'weba', 'webm', 'dolby', 'flac'].indexOf(resourceExtension) > -1)
@@ -454,7 +740,7 @@ export class ServerManager extends PsychObject {
 
 			// preload.js for the other extensions (download type decided by preload.js):
 			else
-				manifest.push({ id: resourceName, src: resourceName });
+				manifest.push({ id: resourceName, src: this._backend.getResourceURL(resourceName, resourceDirectory) });
 		}
 
 
@@ -471,7 +757,7 @@ export class ServerManager extends PsychObject {
 
 		// (*) prepare and start loading sound resources:
 		for (let soundFilename of soundFilenames) {
-			const resourcePath = this._psychoJS.config.experiment.resourceDirectory + soundFilename;
+			const resourcePath = this._backend.getResourceURL(soundFilename, resourceDirectory);
 
 			self.emit(ServerManager.Event.RESOURCE, { message: ServerManager.Event.DOWNLOADING_RESOURCE, resource: soundFilename });
 
@@ -502,6 +788,51 @@ export class ServerManager extends PsychObject {
 }
 
 
+/**
+ * The registered backend types.
+ *
+ * @name module:core.ServerManager#_backends
+ * @readonly
+ * @private
+ * @type {Map.<string, Function>}
+ */
+ServerManager._backends = new Map([
+	['psychoJsManager', PsychoJsManagerBackend],
+	['rest', RestBackend],
+	['local', LocalBackend]
+]);
+
+
+/**
+ * Number of entries added to the outbox, used to generate unique ids.
+ *
+ * @name module:core.ServerManager#_nbOutboxEntries
+ * @private
+ * @type {number}
+ */
+ServerManager._nbOutboxEntries = 0;
+
+
+/**
+ * Default upload retry policy, which can be overridden by the upload block of the configuration.
+ *
+ * @name module:core.ServerManager#UploadPolicy
+ * @readonly
+ * @public
+ * @type {{maxAttempts: number, initialDelay: number, backoffFactor: number, maxDelay: number}}
+ */
+ServerManager.UploadPolicy = {
+	// maximum number of attempts for each upload:
+	maxAttempts: 5,
+	// delay before the first retry (in seconds):
+	initialDelay: 1.0,
+	// factor by which the delay is multiplied after each attempt:
+	backoffFactor: 2.0,
+	// maximum delay between two attempts (in seconds):
+	maxDelay: 30.0
+};
+
+
 /**
  * Server event
  * 
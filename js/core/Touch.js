@@ -0,0 +1,284 @@
+/**
+ * @file Manager responsible for the interactions between the experiment's stimuli and the touchscreen.
+ *
+ * @author Alain Pitiot
+ * @version 3.0.0b11
+ * @copyright (c) 2018 Ilixa Ltd. ({@link http://ilixa.com})
+ * @license Distributed under the terms of the MIT License
+ */
+
+import { PsychoJS } from './PsychoJS';
+import { PsychObject } from '../util/PsychObject';
+import { MonotonicClock, Clock } from '../util/Clock';
+import * as util from '../util/Util';
+
+
+/**
+ * <p>This manager handles the interactions between the experiment and the touchscreen: it tracks all the touches
+ * in contact with the canvas, including simultaneous ones, and recognises tap and swipe gestures.</p>
+ *
+ * <p>Note: positions are in the units of the associated Window, and times are relative to the clock of the Touch,
+ * which is typically reset when the stimulus appears on screen. The distances travelled by the gestures are
+ * however given in pixels, since a distance in Window units depends on its direction when, e.g. with 'norm' units,
+ * the horizontal and vertical scales differ.</p>
+ *
+ * @example
+ * // on each frame:
+ * const gestures = touch.getGestures({ types: [Touch.GestureType.SWIPE] });
+ * if (gestures.length > 0) {
+ *   psychoJS.experiment.addData('touch.response', gestures[0].name); // e.g. 'swipe_left'
+ *   psychoJS.experiment.addData('touch.rt', gestures[0].startTime);
+ *   continueRoutine = false;
+ * }
+ *
+ * @name module:core.Touch
+ * @class
+ * @extends PsychObject
+ * @param {Object} options
+ * @param {String} options.name - the name used when logging messages from this component
+ * @param {Window} options.win - the associated Window
+ * @param {Clock} [options.clock] - the clock relative to which times are given, a new clock by default
+ * @param {number} [options.tapMaxDuration= 0.3] - the maximum duration of a tap (in seconds)
+ * @param {number} [options.tapMaxDistance= Touch.DefaultTapMaxDistance] - the maximum distance travelled during a tap (in pixels)
+ * @param {number} [options.swipeMinDistance= Touch.DefaultSwipeMinDistance] - the minimum distance travelled during a swipe (in pixels)
+ * @param {number} [options.swipeMaxDuration= 1.0] - the maximum duration of a swipe (in seconds)
+ * @param {boolean} [options.autoLog= true] - whether or not to log
+ */
+export class Touch extends PsychObject {
+
+	/**
+	 * Getter for the clock of the Touch.
+	 *
+	 * @name module:core.Touch#clock
+	 * @function
+	 * @public
+	 */
+	get clock() { return this._clock; }
+
+
+	constructor({
+		name,
+		win,
+		clock,
+		tapMaxDuration = 0.3,
+		tapMaxDistance = Touch.DefaultTapMaxDistance,
+		swipeMinDistance = Touch.DefaultSwipeMinDistance,
+		swipeMaxDuration = 1.0,
+		autoLog = true
+	} = {}) {
+		super(win._psychoJS, name);
+
+		if (typeof clock === 'undefined')
+			clock = new Clock();
+
+		const units = win.units;
+
+		this._addAttributes(Touch, win, units, tapMaxDuration, tapMaxDistance, swipeMinDistance, swipeMaxDuration, autoLog);
+		this._clock = clock;
+
+		this.status = PsychoJS.Status.NOT_STARTED;
+	}
+
+
+	/**
+	 * @typedef Touch.TouchPoint
+	 * @property {number} id - the id of the touch, which remains the same for as long as the finger is in contact with the screen
+	 * @property {Array.number} startPos - the position at which the touch started, in Touch/Window units
+	 * @property {Array.number} pos - the current position of the touch, in Touch/Window units
+	 * @property {number} startTime - the time at which the touch started, on the Touch clock (in seconds)
+	 * @property {number} time - the time of the last movement of the touch, on the Touch clock (in seconds)
+	 */
+	/**
+	 * Get the touches currently in contact with the screen.
+	 *
+	 * @name module:core.Touch#getTouches
+	 * @function
+	 * @public
+	 * @return {Array.Touch.TouchPoint} the touches, in the order in which they started
+	 */
+	getTouches() {
+		return this.psychoJS.eventManager.getTouches().map(touch => this._toTouchPoint(touch));
+	}
+
+
+	/**
+	 * @typedef Touch.Gesture
+	 * @property {Touch.GestureType} type - the type of gesture
+	 * @property {string} name - the name of the gesture, to be used as a response: 'tap', 'swipe_left', 'swipe_right', 'swipe_up' or 'swipe_down'
+	 * @property {Touch.SwipeDirection|undefined} direction - the direction of a swipe, undefined for a tap
+	 * @property {number} id - the id of the touch
+	 * @property {Array.number} startPos - the position at which the touch started, in Touch/Window units
+	 * @property {Array.number} pos - the position at which the touch ended, in Touch/Window units
+	 * @property {number} startTime - the time at which the touch started, on the Touch clock (in seconds)
+	 * @property {number} time - the time at which the touch ended, on the Touch clock (in seconds)
+	 * @property {number} duration - the duration of the touch (in seconds)
+	 */
+	/**
+	 * Get the gestures performed since the last call to getGestures or [clearEvents]{@link module:core.Touch#clearEvents}.
+	 *
+	 * <p>A touch is a tap if it is brief and does not travel, and a swipe if it travels far enough, in short
+	 * enough a time. Other touches, e.g. long presses or slow drags, are discarded.</p>
+	 *
+	 * @name module:core.Touch#getGestures
+	 * @function
+	 * @public
+	 * @param {Object} options
+	 * @param {Array.Touch.GestureType} [options.types= [Touch.GestureType.TAP, Touch.GestureType.SWIPE]] - the types of gestures to look for
+	 * @param {boolean} [options.clear= true] - whether or not to remove all the ended touches from the buffer
+	 * @return {Array.Touch.Gesture} the gestures, in the order in which they ended
+	 */
+	getGestures({
+		types = [Touch.GestureType.TAP, Touch.GestureType.SWIPE],
+		clear = true
+	} = {}) {
+		let gestures = [];
+		for (const touch of this.psychoJS.eventManager.getTouchEvents({ clear })) {
+			const gesture = this._getGesture(touch);
+			if (typeof gesture !== 'undefined' && types.indexOf(gesture.type) > -1)
+				gestures.push(gesture);
+		}
+
+		if (this.autoLog && gestures.length > 0)
+			this.psychoJS.logger.debug('touch: ' + this.name + ' gestures: ' + gestures.map(g => g.name).join(', '));
+
+		return gestures;
+	}
+
+
+	/**
+	 * Clear the ended touches, so that their gestures are not reported.
+	 *
+	 * @name module:core.Touch#clearEvents
+	 * @function
+	 * @public
+	 */
+	clearEvents() {
+		this.psychoJS.eventManager.clearTouchEvents();
+	}
+
+
+	/**
+	 * Recognise the gesture performed by an ended touch.
+	 *
+	 * @name module:core.Touch#_getGesture
+	 * @function
+	 * @private
+	 * @param {EventManager.TouchInfo} touch - the touch info of the ended touch
+	 * @return {Touch.Gesture|undefined} the gesture, or undefined if the touch is neither a tap nor a swipe
+	 */
+	_getGesture(touch) {
+		// note: the distance is measured in pixels, in the canvas, whose y axis points downwards
+		const dx = touch.pos[0] - touch.startPos[0];
+		const dy = touch.startPos[1] - touch.pos[1];
+		const distance = Math.hypot(dx, dy);
+		const duration = touch.timestamp - touch.startTimestamp;
+
+		let type, direction, name;
+		if (duration <= this.tapMaxDuration && distance <= this.tapMaxDistance) {
+			type = Touch.GestureType.TAP;
+			name = 'tap';
+		}
+		else if (duration <= this.swipeMaxDuration && distance >= this.swipeMinDistance) {
+			type = Touch.GestureType.SWIPE;
+
+			if (Math.abs(dx) >= Math.abs(dy))
+				direction = (dx > 0) ? Touch.SwipeDirection.RIGHT : Touch.SwipeDirection.LEFT;
+			else
+				direction = (dy > 0) ? Touch.SwipeDirection.UP : Touch.SwipeDirection.DOWN;
+			name = 'swipe_' + Symbol.keyFor(direction).toLowerCase();
+		}
+		else
+			return undefined;
+
+		return { type, name, direction, ...this._toTouchPoint(touch), duration };
+	}
+
+
+	/**
+	 * Convert the touch info of the EventManager to Touch/Window units and Touch clock times.
+	 *
+	 * @name module:core.Touch#_toTouchPoint
+	 * @function
+	 * @private
+	 * @param {EventManager.TouchInfo} touch - the touch info
+	 * @return {Touch.TouchPoint} the touch point
+	 */
+	_toTouchPoint(touch) {
+		// the touch timestamps are on the monotonic clock, so we offset them by the current time on both clocks:
+		const offset = this._clock.getTime() - MonotonicClock.getReferenceTime() / 1000;
+
+		return {
+			id: touch.id,
+			startPos: this._canvasToWindowUnits(touch.startPos),
+			pos: this._canvasToWindowUnits(touch.pos),
+			startTime: touch.startTimestamp + offset,
+			time: touch.timestamp + offset
+		};
+	}
+
+
+	/**
+	 * Convert a position in the canvas to Touch/Window units.
+	 *
+	 * @name module:core.Touch#_canvasToWindowUnits
+	 * @function
+	 * @private
+	 * @param {Array.number} pos_canvas - the position in the canvas (in pixels, from the top-left corner)
+	 * @return {Array.number} the position in Touch/Window units
+	 */
+	_canvasToWindowUnits(pos_canvas) {
+		// convert to the associated window's reference frame with (0,0) as the centre of the window:
+		const pos_px = [pos_canvas[0] - this.win.size[0] / 2, this.win.size[1] / 2 - pos_canvas[1]];
+
+		return util.to_win(pos_px, 'pix', this._win);
+	}
+
+}
+
+
+/**
+ * Touch gesture type
+ *
+ * @enum {Symbol}
+ * @readonly
+ * @public
+ */
+Touch.GestureType = {
+	TAP: Symbol.for('TAP'),
+	SWIPE: Symbol.for('SWIPE')
+};
+
+
+/**
+ * Touch swipe direction
+ *
+ * @enum {Symbol}
+ * @readonly
+ * @public
+ */
+Touch.SwipeDirection = {
+	LEFT: Symbol.for('LEFT'),
+	RIGHT: Symbol.for('RIGHT'),
+	UP: Symbol.for('UP'),
+	DOWN: Symbol.for('DOWN')
+};
+
+
+/**
+ * <p>Default maximum distance travelled during a tap (in pixels).</p>
+ *
+ * @name module:core.Touch.DefaultTapMaxDistance
+ * @type {number}
+ * @public
+ */
+Touch.DefaultTapMaxDistance = 20;
+
+
+/**
+ * <p>Default minimum distance travelled during a swipe (in pixels).</p>
+ *
+ * @name module:core.Touch.DefaultSwipeMinDistance
+ * @type {number}
+ * @public
+ */
+Touch.DefaultSwipeMinDistance = 50;
@@ -185,6 +185,9 @@ export class Window extends PsychObject {
 	render() {
 		this._frameCount++;
 
+		// poll the devices without events, e.g. gamepads:
+		this._psychoJS.eventManager.pollDevices();
+
 		// render the PIXI container:
 		this._renderer.render(this._rootContainer);
 
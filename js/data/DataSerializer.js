@@ -0,0 +1,129 @@
+/**
+ * @file Serialization of the experiment data into the various output formats.
+ *
+ * @author Alain Pitiot
+ * @version 3.0.0b11
+ * @copyright (c) 2018 Ilixa Ltd. ({@link http://ilixa.com})
+ * @license Distributed under the terms of the MIT License
+ */
+
+
+/**
+ * Format a value as a field of a delimited (e.g. csv) file, following RFC 4180.
+ *
+ * <p>Missing values (undefined or null) result in empty fields, arrays and objects are written as JSON,
+ * and fields containing the delimiter, a double quote, a carriage return or a line feed are enclosed
+ * in double quotes, with double quotes escaped by doubling them.</p>
+ *
+ * @name module:data.DataSerializer#formatField
+ * @function
+ * @public
+ * @param {*} value - the value
+ * @param {string} [delimiter= ','] - the field delimiter
+ * @return {string} the field
+ */
+export function formatField(value, delimiter = ',') {
+	if (typeof value === 'undefined' || value === null)
+		return '';
+
+	let field;
+	if (typeof value === 'object')
+		field = JSON.stringify(value);
+	else
+		field = String(value);
+
+	if (field.indexOf(delimiter) > -1 || /["\r\n]/.test(field))
+		field = '"' + field.replace(/"/g, '""') + '"';
+
+	return field;
+}
+
+
+/**
+ * Serialize entries into a delimited file, e.g. csv or tsv, following RFC 4180.
+ *
+ * @name module:data.DataSerializer#toDelimited
+ * @function
+ * @public
+ * @param {Array.<Object>} entries - the entries, one per row
+ * @param {Array.string} header - the column names
+ * @param {Object} options
+ * @param {string} [options.delimiter= ','] - the field delimiter
+ * @param {string} [options.lineTerminator= '\r\n'] - the line terminator
+ * @return {string} the serialized entries, header first
+ */
+export function toDelimited(entries, header, {
+	delimiter = ',',
+	lineTerminator = '\r\n'
+} = {}) {
+	let lines = [header.map(name => formatField(name, delimiter)).join(delimiter)];
+
+	for (const entry of entries)
+		lines.push(header.map(name => formatField(entry[name], delimiter)).join(delimiter));
+
+	return lines.join(lineTerminator) + lineTerminator;
+}
+
+
+/**
+ * Serialize entries into a JSON array of records.
+ *
+ * <p>Each record has all the columns of the header, with missing values set to null.</p>
+ *
+ * @name module:data.DataSerializer#toJSON
+ * @function
+ * @public
+ * @param {Array.<Object>} entries - the entries
+ * @param {Array.string} header - the column names
+ * @return {string} the JSON array
+ */
+export function toJSON(entries, header) {
+	const records = entries.map(entry => {
+		let record = {};
+		for (const name of header)
+			record[name] = (typeof entry[name] === 'undefined') ? null : entry[name];
+		return record;
+	});
+
+	return JSON.stringify(records);
+}
+
+
+/**
+ * Serialize entries into a wide, delimited file with a single row.
+ *
+ * <p>The summary columns (e.g. the participant information) appear once, followed by the other columns
+ * for each entry in turn, suffixed with the index of the entry, e.g. rt_0, rt_1, etc.</p>
+ *
+ * @name module:data.DataSerializer#toWide
+ * @function
+ * @public
+ * @param {Array.<Object>} entries - the entries
+ * @param {Array.string} header - the column names
+ * @param {Array.string} summaryColumns - the columns that have the same value for all entries, e.g. the keys of extraInfo
+ * @param {Object} options
+ * @param {string} [options.delimiter= ','] - the field delimiter
+ * @param {string} [options.lineTerminator= '\r\n'] - the line terminator
+ * @return {string} the serialized entries, header first
+ */
+export function toWide(entries, header, summaryColumns, {
+	delimiter = ',',
+	lineTerminator = '\r\n'
+} = {}) {
+	const entryColumns = header.filter(name => summaryColumns.indexOf(name) === -1);
+
+	let wideHeader = summaryColumns.slice();
+	let wideEntry = {};
+	for (const name of summaryColumns)
+		wideEntry[name] = (entries.length > 0) ? entries[0][name] : undefined;
+
+	entries.forEach((entry, index) => {
+		for (const name of entryColumns) {
+			const wideName = name + '_' + index;
+			wideHeader.push(wideName);
+			wideEntry[wideName] = entry[name];
+		}
+	});
+
+	return toDelimited([wideEntry], wideHeader, { delimiter, lineTerminator });
+}
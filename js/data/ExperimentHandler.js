@@ -10,6 +10,8 @@
 
 import { PsychObject } from '../util/PsychObject'
 import { MonotonicClock } from '../util/Clock'
+import * as serializer from './DataSerializer';
+import * as util from '../util/Util';
 
 
 /**
@@ -24,6 +26,7 @@ import { MonotonicClock } from '../util/Clock'
  * @param {PsychoJS} options.psychoJS - the PsychoJS instance
  * @param {string} options.name - name of the experiment
  * @param {Object} options.extraInfo - additional information, such as session name, participant name, etc.
+ * @param {number} [options.incrementalSaving= 0] - number of entries after which the new entries are uploaded to the server, 0 to only save the results at the end of the experiment
  */
 export class ExperimentHandler extends PsychObject {
 
@@ -45,25 +48,49 @@ export class ExperimentHandler extends PsychObject {
 	 */
 	set experimentEnded(ended) { this._experimentEnded = ended; }
 
+	/**
+	 * Getter for the number of entries, i.e. of calls to nextEntry.
+	 *
+	 * @name module:data.ExperimentHandler#nbEntries
+	 * @function
+	 * @public
+	 */
+	get nbEntries() { return this._trialsData.length; }
+
 
 	constructor({
 		psychoJS,
 		name,
-		extraInfo
+		extraInfo,
+		incrementalSaving = 0
 	} = {}) {
 		super(psychoJS, name);
 
-		this._addAttributes(ExperimentHandler, name, extraInfo);
+		this._addAttributes(ExperimentHandler, name, extraInfo, incrementalSaving);
 
-		// loop handlers:
+		// loop handlers, loop within which each loop was added, if any, and innermost loop at the last entry, whose
+		// current iteration is therefore completed:
 		this._loops = [];
 		this._unfinishedLoops = [];
+		this._parentLoops = new Map();
+		this._lastEntryLoop = undefined;
 
 		// data dictionaries (one per trial) and current data dictionary:
 		this._trialsKeys = [];
 		this._trialsData = [];
 		this._currentTrialData = {};
 
+		// incremental saving: number of entries already uploaded and chain of pending uploads:
+		this._nbSavedEntries = 0;
+		this._nbPartialFiles = 0;
+		this._incrementalUpload = Promise.resolve();
+
+		// key of the data files, set when the first file is saved:
+		this._dataKey = undefined;
+
+		// states of the loops of an interrupted session, restored when the loops are added:
+		this._loopStates = new Map();
+
 		this._experimentEnded = false;
 	}
 
@@ -72,6 +99,9 @@ export class ExperimentHandler extends PsychObject {
 	 * Add a loop.
 	 * <p> The loop might be a {@link TrialHandler} or a {@link StairHandler}, for instance.</p>
 	 * <p> Data from this loop will be included in the resulting data files.</p>
+	 * <p> The factors of a loop built from a factorial design are included in the header of the data files.</p>
+	 * <p> When an interrupted session is being resumed, the state of the loop is restored, so that the trials
+	 * completed before the interruption are not run again.</p>
 	 *
 	 * @name module:data.ExperimentHandler#addLoop
 	 * @function
@@ -79,9 +109,23 @@ export class ExperimentHandler extends PsychObject {
 	 * @param {Object} loop - the loop, e.g. an instance of TrialHandler or StairHandler
 	 */
 	addLoop(loop) {
+		this._parentLoops.set(loop, this._unfinishedLoops[this._unfinishedLoops.length - 1]);
 		this._loops.push(loop);
 		this._unfinishedLoops.push(loop);
 		loop.experimentHandler = this;
+
+		if (Array.isArray(loop.factorNames))
+			for (const name of loop.factorNames)
+				if (this._trialsKeys.indexOf(name) === -1)
+					this._trialsKeys.push(name);
+
+		// restore the state of the loop if we are resuming an interrupted session:
+		// note: the state is only restored once, since nested loops are created anew for each outer iteration
+		if (this._loopStates.has(loop.name) && typeof loop.setState === 'function') {
+			const { state, completed } = this._loopStates.get(loop.name);
+			loop.setState(state, { rewind: !completed });
+			this._loopStates.delete(loop.name);
+		}
 	}
 
 
@@ -98,6 +142,8 @@ export class ExperimentHandler extends PsychObject {
 		if (index !== -1) {
 			this._unfinishedLoops.splice(index, 1);
 		}
+
+		this._psychoJS.saveSnapshot();
 	}
 
 
@@ -147,69 +193,332 @@ export class ExperimentHandler extends PsychObject {
 		this._trialsData.push(this._currentTrialData);
 
 		this._currentTrialData = {};
+		this._lastEntryLoop = this._unfinishedLoops[this._unfinishedLoops.length - 1];
+
+		// the times of the participant's input are recorded and replayed relative to the start of each entry:
+		this._psychoJS.eventManager.setInputAnchor(this._trialsData.length);
+
+		// upload the new entries if need be:
+		if (this._incrementalSaving > 0 && this._trialsData.length - this._nbSavedEntries >= this._incrementalSaving)
+			this._saveIncrementally();
+
+		// snapshot the state of the experiment, so that the session can be resumed if it is interrupted:
+		this._psychoJS.saveSnapshot();
+	}
+
+
+	/**
+	 * Get the entries, i.e. the data of the trials completed so far.
+	 *
+	 * @name module:data.ExperimentHandler#getEntries
+	 * @function
+	 * @public
+	 * @param {Object} options
+	 * @param {number} [options.start= 0] - the index of the first entry
+	 * @return {Array.<Object>} the entries from the given index
+	 */
+	getEntries({ start = 0 } = {}) {
+		return this._trialsData.slice(start);
+	}
+
+
+	/**
+	 * Get the state of the experiment, i.e. the state of the loops and the number of entries, but not the entries
+	 * themselves, which can be obtained with {@link getEntries}.
+	 *
+	 * <p>For each loop, we keep the state of the last loop with that name that was added. The current iteration of the
+	 * innermost unfinished loop at the last call to nextEntry is completed, while those of the outer loops are still
+	 * running. A finished loop nested in another loop is only kept until the current iteration
+	 * of the outer loop is completed, since the next iteration creates it anew.</p>
+	 *
+	 * <p>Note: only the loops with a getState method, such as {@link TrialHandler} or {@link StairHandler},
+	 * are included.</p>
+	 *
+	 * @name module:data.ExperimentHandler#getState
+	 * @function
+	 * @public
+	 * @return {Object} the state, which can be serialised in JSON
+	 */
+	getState() {
+		let latestLoops = new Map();
+		for (const loop of this._loops)
+			latestLoops.set(loop.name, loop);
+
+		let loops = {};
+		for (const [name, loop] of latestLoops) {
+			if (typeof loop.getState !== 'function')
+				continue;
+
+			const removed = (this._unfinishedLoops.indexOf(loop) === -1);
+			// a finished nested loop is dropped once the iteration of the outer loop it belongs to is completed:
+			if (removed) {
+				const parentLoop = this._parentLoops.get(loop);
+				if (typeof parentLoop !== 'undefined' && (this._unfinishedLoops.indexOf(parentLoop) === -1 || parentLoop === this._lastEntryLoop))
+					continue;
+			}
+
+			loops[name] = {
+				state: { ...loop.getState(), finished: removed || loop.finished },
+				completed: (removed || loop === this._lastEntryLoop)
+			};
+		}
+
+		return {
+			trialsKeys: this._trialsKeys.slice(),
+			nbEntries: this._trialsData.length,
+			nbSavedEntries: this._nbSavedEntries,
+			nbPartialFiles: this._nbPartialFiles,
+			dataKey: this._dataKey,
+			loops
+		};
+	}
+
+
+	/**
+	 * Restore the state of the experiment, e.g. when resuming an interrupted session.
+	 *
+	 * <p>The states of the loops are restored when the loops are added with {@link addLoop}.</p>
+	 *
+	 * @name module:data.ExperimentHandler#setState
+	 * @function
+	 * @public
+	 * @param {Object} state - a state returned by {@link getState}
+	 * @param {Array.<Object>} entries - the entries of that state, as returned by {@link getEntries}
+	 */
+	setState(state, entries) {
+		this._trialsKeys = state.trialsKeys.slice();
+		this._trialsData = entries.slice(0, state.nbEntries);
+		this._nbSavedEntries = state.nbSavedEntries;
+		this._nbPartialFiles = state.nbPartialFiles;
+
+		// the partial files of the resumed session and the complete results share the same key:
+		if (typeof state.dataKey !== 'undefined')
+			this._dataKey = state.dataKey;
+
+		this._loopStates = new Map(Object.entries(state.loops));
 	}
 
 
 	/**
 	 * Save the results of the experiment.
-	 * <p> Results are uploaded to the remote PsychoJS manager running on the remote https://pavlovia.org server</p>
+	 * <p> Results are uploaded to the remote PsychoJS manager running on the remote https://pavlovia.org server or,
+	 * if the experiment is run locally, offered to the participant as a file download.</p>
+	 * <p> If incremental saving is on, we first wait for the pending partial uploads to complete. The complete results
+	 * are then uploaded and supersede the partial files.</p>
+	 * <p> When the participant leaves the experiment before its end, e.g. by closing the browser tab, the results are
+	 * saved with <code>sync: true, isCompleted: false</code>: the data of the current trial are included, the data file
+	 * is marked as incomplete (its name ends in _incomplete), and it is sent in a way that survives the unloading
+	 * of the page.</p>
 	 *
 	 * @name module:data.ExperimentHandler#save
 	 * @function
 	 * @public
 	 * @param {Object} options
 	 * @param {PsychoJS} options.attributes - the attributes to be saved
+	 * @param {boolean} [options.sync= false] - whether or not the page is being unloaded
+	 * @param {boolean} [options.isCompleted= true] - whether or not the participant has completed the experiment
+	 * @param {ExperimentHandler.SaveFormat} [options.format] - the format of the data file, by default that given by experiment.saveFormat in the configuration (e.g. "tsv"), or CSV
+	 * @param {string} [options.delimiter= ','] - the field delimiter, for the CSV and WIDE formats
 	 *
 	 * @todo deal with attributes
 	 */
 	async save({
-		attributes = []
+		attributes = [],
+		sync = false,
+		isCompleted = true,
+		format,
+		delimiter = ','
 	} = {}) {
 		this._psychoJS.logger.info('[PsychoJS] Save experiment results.');
 
-		// key is based on extraInfo:
+		// wait for the pending incremental uploads, if any:
+		// note: we cannot wait while the page is being unloaded
+		if (!sync) {
+			await this._incrementalUpload;
+			if (this._nbPartialFiles > 0)
+				this._psychoJS.logger.info('[PsychoJS] The complete results supersede the ' + this._nbPartialFiles + ' partial data files.');
+		}
+
+		let key = this._getDataKey();
+		let entries = this._trialsData;
+		if (!isCompleted) {
+			key += '_incomplete';
+
+			// include the data of the current, unfinished trial:
+			if (Object.keys(this._currentTrialData).length > 0)
+				entries = entries.concat([this._currentTrialData]);
+		}
+		if (typeof format === 'undefined')
+			format = this._getDefaultSaveFormat();
+		const { data, extension } = this._serialize(entries, { format, delimiter });
+
+		// upload data to the server (or offer them for download if the experiment is run locally):
+		const result = await this._psychoJS.serverManager.uploadData(key + '.' + extension, data, { sync });
+
+		// upload the trace of the participant's input alongside the data, if it has been recorded:
+		// note: the trace is not uploaded while the page is being unloaded, since it would likely exceed the size
+		//       limit of the requests sent at that point, and compete with the upload of the data
+		const inputTrace = this._psychoJS.eventManager.getInputTrace();
+		if (typeof inputTrace !== 'undefined' && !sync)
+			await this._psychoJS.serverManager.uploadData(key + '_input.json', JSON.stringify(inputTrace));
+
+		return result;
+	}
+
+
+	/**
+	 * Upload the entries that have not been uploaded yet.
+	 *
+	 * <p>The uploads are chained so that they happen in order. The partial files have the same format as the
+	 * complete results. An upload that fails is not repeated here: the ServerManager keeps it in its outbox, and
+	 * uploads it when the experiment is next started in this browser.</p>
+	 *
+	 * <p>Note: incremental saving is not available when the experiment is run locally, since every upload
+	 * would result in a file download.</p>
+	 *
+	 * @name module:data.ExperimentHandler#_saveIncrementally
+	 * @function
+	 * @protected
+	 */
+	_saveIncrementally() {
+		if (this._psychoJS.getEnvironment() === ExperimentHandler.Environment.LOCAL)
+			return;
+
+		const self = this;
+		this._incrementalUpload = this._incrementalUpload.then(async () => {
+			const first = self._nbSavedEntries;
+			const last = self._trialsData.length;
+			if (last <= first)
+				return;
+
+			const key = self._getDataKey() + '_rows' + first + '-' + (last - 1);
+			const { data, extension } = self._serialize(self._trialsData.slice(first, last), { format: self._getDefaultSaveFormat() });
+
+			// note: the entries are deemed saved even if the upload fails, since they are then in the outbox
+			self._nbSavedEntries = last;
+			++ self._nbPartialFiles;
+
+			try {
+				await self._psychoJS.serverManager.uploadData(key + '.' + extension, data);
+			}
+			catch (error) {
+				self._psychoJS.logger.warn('unable to upload entries ' + first + ' to ' + (last - 1) + ', they are kept in the outbox: ' + util.toString(error));
+			}
+		});
+	}
+
+
+	/**
+	 * Get the key of the data files, which is based on extraInfo.
+	 *
+	 * <p>Note: the key is set when it is first requested, so that the partial and complete data files share the same key.</p>
+	 *
+	 * @name module:data.ExperimentHandler#_getDataKey
+	 * @function
+	 * @protected
+	 * @return {string} the key
+	 */
+	_getDataKey() {
+		if (typeof this._dataKey !== 'undefined')
+			return this._dataKey;
+
 		const info = this.extraInfo;
 		let key = (typeof info.expName !== 'undefined') ? info.expName : this.psychoJS.config.experiment.name;
 		key += "_" + ((typeof info.participant === 'string' && info.participant.length > 0) ? info.participant : 'PARTICIPANT');
 		key += "_" + ((typeof info.session === 'string' && info.session.length > 0) ? info.session : 'SESSION');
 		key += "_" + ((typeof info.date !== 'undefined') ? info.date : MonotonicClock.getDateStr());
 
-		// data is in the csv format:
-		// build the csv header:
-		let csv = "";
+		this._dataKey = key;
+		return key;
+	}
+
+
+	/**
+	 * Get the default format of the data files, given by experiment.saveFormat in the configuration.
+	 *
+	 * @name module:data.ExperimentHandler#_getDefaultSaveFormat
+	 * @function
+	 * @protected
+	 * @return {ExperimentHandler.SaveFormat} the format, CSV if the configuration does not specify one
+	 */
+	_getDefaultSaveFormat() {
+		const saveFormat = this._psychoJS.config.experiment.saveFormat;
+		if (typeof saveFormat !== 'string')
+			return ExperimentHandler.SaveFormat.CSV;
+
+		const format = ExperimentHandler.SaveFormat[saveFormat.toUpperCase()];
+		if (typeof format === 'undefined')
+			throw { origin: 'ExperimentHandler._getDefaultSaveFormat', context: 'when getting the format of the data files', error: 'unknown saveFormat in experiment block in configuration: ' + saveFormat };
+
+		return format;
+	}
+
+
+	/**
+	 * Get the header of the data files, i.e. the data keys, the loop attributes and the extraInfo keys.
+	 *
+	 * <p>Note: a column appears only once, even if it is, for instance, both a data key and a trial attribute.</p>
+	 *
+	 * @name module:data.ExperimentHandler#_getHeader
+	 * @function
+	 * @protected
+	 * @return {Array.string} the header
+	 */
+	_getHeader() {
 		let header = this._trialsKeys.slice();
+		const addToHeader = (name) => {
+			if (header.indexOf(name) === -1)
+				header.push(name);
+		};
+
 		for (let l = 0; l < this._loops.length; l++) {
 			const loop = this._loops[l];
 
 			const loopAttributes = this.getLoopAttributes(loop);
 			for (let a in loopAttributes)
 				if (loopAttributes.hasOwnProperty(a))
-					header.push(a);
+					addToHeader(a);
 		}
 		for (let a in this.extraInfo) {
 			if (this.extraInfo.hasOwnProperty(a))
-				header.push(a);
+				addToHeader(a);
 		}
 
-		for (let h = 0; h < header.length; h++) {
-			if (h > 0)
-				csv = csv + ', ';
-			csv = csv + header[h];
-		}
-		csv = csv + '\n';
-
-		// build the records:
-		for (let r = 0; r < this._trialsData.length; r++) {
-			for (let h = 0; h < header.length; h++) {
-				if (h > 0)
-					csv = csv + ', ';
-				csv = csv + this._trialsData[r][header[h]];
-			}
-			csv = csv + '\n';
-		}
+		return header;
+	}
+
+
+	/**
+	 * Serialize the given entries.
+	 *
+	 * @name module:data.ExperimentHandler#_serialize
+	 * @function
+	 * @protected
+	 * @param {Array.<Object>} entries - the entries
+	 * @param {Object} options
+	 * @param {ExperimentHandler.SaveFormat} [options.format= ExperimentHandler.SaveFormat.CSV] - the format
+	 * @param {string} [options.delimiter] - the field delimiter, for the CSV and WIDE formats
+	 * @return {{data: string, extension: string}} the serialized entries and the extension of the corresponding file
+	 */
+	_serialize(entries, {
+		format = ExperimentHandler.SaveFormat.CSV,
+		delimiter = ','
+	} = {}) {
+		const header = this._getHeader();
+
+		if (format === ExperimentHandler.SaveFormat.CSV)
+			return { data: serializer.toDelimited(entries, header, { delimiter }), extension: 'csv' };
+
+		if (format === ExperimentHandler.SaveFormat.TSV)
+			return { data: serializer.toDelimited(entries, header, { delimiter: '\t' }), extension: 'tsv' };
 
-		// upload data to the remote PsychoJS manager:
-		return await this._psychoJS.serverManager.uploadData(key + '.csv', csv);
+		if (format === ExperimentHandler.SaveFormat.JSON)
+			return { data: serializer.toJSON(entries, header), extension: 'json' };
+
+		if (format === ExperimentHandler.SaveFormat.WIDE)
+			return { data: serializer.toWide(entries, header, Object.keys(this.extraInfo), { delimiter }), extension: 'csv' };
+
+		throw { origin: 'ExperimentHandler._serialize', context: 'when serializing the experiment results', error: 'unknown format: ' + util.toString(format) };
 	}
 
 
@@ -226,7 +535,7 @@ export class ExperimentHandler extends PsychObject {
 		const loopName = loop['name'];
 
 		// standard attributes:
-		const properties = ['thisRepN', 'thisTrialN', 'thisN', 'thisIndex', 'stepSizeCurrent', 'ran', 'order'];
+		const properties = ['thisRepN', 'thisTrialN', 'thisN', 'thisIndex', 'stepSizeCurrent', 'ran', 'order', 'requeued'];
 		let attributes = {};
 		for (const property of properties)
 			for (const loopProperty in loop)
@@ -260,17 +569,86 @@ export class ExperimentHandler extends PsychObject {
 						pass
 				else:
 						names.append(loopName+'.thisTrial')
-						vals.append(trial)
-						
-		// single StairHandler
-		elif hasattr(loop, 'intensities'):
-				names.append(loopName+'.intensity')
-				if len(loop.intensities)>0:
-						vals.append(loop.intensities[-1])
-				else:
-						vals.append(None)*/
+						vals.append(trial)*/
+
+		// seed and algorithm of the loop's random number generator, so that the loop can be reproduced:
+		if (typeof loop.randomGenerator === 'object' && loop.randomGenerator !== null) {
+			attributes[loopName + '.seed'] = loop.randomGenerator.seed;
+			attributes[loopName + '.randomAlgorithm'] = Symbol.keyFor(loop.randomGenerator.algorithm);
+		}
+
+		// staircase's intensity and response:
+		if (Array.isArray(loop.intensities) && Array.isArray(loop.data)) {
+			const nbIntensities = loop.intensities.length;
+			attributes[loopName + '.intensity'] = (nbIntensities > 0) ? loop.intensities[nbIntensities - 1] : undefined;
+
+			// the response is only known once it has been added for the current trial:
+			attributes[loopName + '.response'] = (nbIntensities > 0 && loop.data.length === nbIntensities) ? loop.data[nbIntensities - 1] : undefined;
+		}
+
+		// label of the staircase of the current trial, for interleaved staircases:
+		if (typeof loop.getCurrentStaircase === 'function') {
+			const staircase = loop.getCurrentStaircase();
+			attributes[loopName + '.staircase'] = (staircase) ? staircase.name : undefined;
+		}
+
+		// Quest's current estimate of the threshold:
+		if (typeof loop.quantile === 'function' && typeof loop.sd === 'function') {
+			attributes[loopName + '.thresholdEstimate'] = loop.quantile();
+			attributes[loopName + '.thresholdSd'] = loop.sd();
+		}
 
 		return attributes;
 	}
 
 }
+
+
+/**
+ * Environment in which the experiment is running.
+ *
+ * @enum {Symbol}
+ * @readonly
+ * @public
+ */
+ExperimentHandler.Environment = {
+	/**
+	 * The experiment is run from a remote PsychoJS manager, e.g. on pavlovia.org.
+	 */
+	SERVER: Symbol.for('SERVER'),
+
+	/**
+	 * The experiment is run locally, without a PsychoJS manager.
+	 */
+	LOCAL: Symbol.for('LOCAL')
+};
+
+
+/**
+ * Format of the data files.
+ *
+ * @enum {Symbol}
+ * @readonly
+ * @public
+ */
+ExperimentHandler.SaveFormat = {
+	/**
+	 * Comma-separated values (RFC 4180), one row per entry.
+	 */
+	CSV: Symbol.for('CSV'),
+
+	/**
+	 * Tab-separated values, one row per entry.
+	 */
+	TSV: Symbol.for('TSV'),
+
+	/**
+	 * JSON array of records, one record per entry.
+	 */
+	JSON: Symbol.for('JSON'),
+
+	/**
+	 * Comma-separated values with a single row per participant, and the columns of each entry suffixed with its index.
+	 */
+	WIDE: Symbol.for('WIDE')
+};
@@ -0,0 +1,159 @@
+/**
+ * @file Factorial Design
+ *
+ * @author Alain Pitiot
+ * @version 3.0.0b11
+ * @copyright (c) 2018 Ilixa Ltd. ({@link http://ilixa.com})
+ * @license Distributed under the terms of the MIT License
+ */
+
+
+/**
+ * <p>A Factorial Design builds a trial list from a specification of the factors and their levels.</p>
+ *
+ * <p>The full design has one cell per combination of levels, the first factor varying slowest. A fractional
+ * design only keeps the cells whose sum of level indices, modulo fraction.modulus, is equal to fraction.residue.
+ * When the number of levels of every factor is a multiple of the modulus, each level of each factor appears
+ * equally often in the fractional design, e.g. a modulus of 2 gives the two half-fractions of a 2^k design.</p>
+ *
+ * <p>Each cell can be repeated in the trial list, either a given number of times (repetitions) or in proportion to
+ * its weight (weights), the cell with the smallest non-zero weight appearing once. Cells with no repetitions or a
+ * null weight are left out.</p>
+ *
+ * <p>A Factorial Design can be given to a {@link module:data.TrialHandler} as its trialList, in which case the
+ * factors are included in the header of the experiment data.</p>
+ *
+ * @example
+ * const design = new FactorialDesign({factors: {contrast: [0.1, 0.2, 0.4], side: ['left', 'right']}, repetitions: 2});
+ * const trials = new TrialHandler({psychoJS, trialList: design, nReps: 5, method: TrialHandler.Method.RANDOM});
+ *
+ * @name module:data.FactorialDesign
+ * @class
+ * @param {Object} options
+ * @param {Object.<string, Array>} options.factors - the levels of each factor
+ * @param {Object} [options.fraction] - the fraction of the full design, as {modulus, residue}, by default the full design
+ * @param {number|Array.number|Function} [options.repetitions= 1] - the number of repetitions of the cells: a number, an array with one entry per cell of the full design, or a function of the cell
+ * @param {Array.number|Function} [options.weights] - the relative weights of the cells: an array with one entry per cell of the full design, or a function of the cell
+ */
+export class FactorialDesign {
+
+	/**
+	 * Getter for the names of the factors.
+	 *
+	 * @name module:data.FactorialDesign#factorNames
+	 * @function
+	 * @public
+	 */
+	get factorNames() { return Object.keys(this._factors); }
+
+
+	/**
+	 * @constructor
+	 * @public
+	 */
+	constructor({
+		factors,
+		fraction,
+		repetitions = 1,
+		weights
+	} = {}) {
+		let response = { origin: 'FactorialDesign', context: 'when creating a factorial design' };
+
+		if (typeof factors !== 'object' || factors === null || Object.keys(factors).length === 0)
+			throw { ...response, error: 'factors should map at least one factor name to its levels' };
+		for (const name in factors)
+			if (!Array.isArray(factors[name]) || factors[name].length === 0)
+				throw { ...response, error: 'the levels of factor ' + name + ' should be a non-empty array' };
+		if (typeof fraction !== 'undefined' && (!Number.isInteger(fraction.modulus) || fraction.modulus < 2 || !Number.isInteger(fraction.residue) || fraction.residue < 0 || fraction.residue >= fraction.modulus))
+			throw { ...response, error: 'fraction should be {modulus, residue} with an integer modulus of at least 2 and a residue between 0 and modulus - 1' };
+		if (typeof weights !== 'undefined' && repetitions !== 1)
+			throw { ...response, error: 'either repetitions or weights can be given, but not both' };
+
+		this._factors = factors;
+		this._fraction = fraction;
+
+		// (*) full design, with the level indices of each cell:
+		const names = this.factorNames;
+		let cells = [{ cell: {}, levelIndices: [] }];
+		for (const name of names) {
+			let newCells = [];
+			for (const { cell, levelIndices } of cells)
+				factors[name].forEach((level, levelIndex) => newCells.push({ cell: { ...cell, [name]: level }, levelIndices: [...levelIndices, levelIndex] }));
+			cells = newCells;
+		}
+
+		// (*) number of repetitions of each cell of the full design:
+		let counts;
+		if (typeof weights !== 'undefined') {
+			const cellWeights = FactorialDesign._perCell(weights, cells, 'weights');
+			if (cellWeights.some(w => typeof w !== 'number' || w < 0))
+				throw { ...response, error: 'the weights should be non-negative numbers' };
+			const positiveWeights = cellWeights.filter(w => w > 0);
+			if (positiveWeights.length === 0)
+				throw { ...response, error: 'at least one weight should be positive' };
+			const minWeight = Math.min(...positiveWeights);
+			counts = cellWeights.map(w => Math.round(w / minWeight));
+		}
+		else {
+			counts = FactorialDesign._perCell(repetitions, cells, 'repetitions');
+			if (counts.some(n => !Number.isInteger(n) || n < 0))
+				throw { ...response, error: 'the repetitions should be non-negative integers' };
+		}
+
+		// (*) trial list, restricted to the fraction of the design:
+		this._trialList = [];
+		cells.forEach(({ cell, levelIndices }, c) => {
+			if (typeof fraction !== 'undefined') {
+				const sum = levelIndices.reduce((total, index) => total + index, 0);
+				if (sum % fraction.modulus !== fraction.residue)
+					return;
+			}
+
+			for (let r = 0; r < counts[c]; ++r)
+				this._trialList.push({ ...cell });
+		});
+
+		if (this._trialList.length === 0)
+			throw { ...response, error: 'the design does not contain any trial' };
+	}
+
+
+	/**
+	 * Get the trial list, with one entry per repetition of each cell of the design.
+	 *
+	 * @name module:data.FactorialDesign#getTrialList
+	 * @function
+	 * @public
+	 * @return {Array.<Object>} the trial list, as an array of 'object as map' from factor name to level
+	 */
+	getTrialList() {
+		return this._trialList.map(trial => ({ ...trial }));
+	}
+
+
+	/**
+	 * Get a value for each cell of the full design.
+	 *
+	 * @name module:data.FactorialDesign._perCell
+	 * @function
+	 * @static
+	 * @private
+	 * @param {number|Array|Function} value - a value shared by all cells, an array with one value per cell, or a function of the cell
+	 * @param {Array.<Object>} cells - the cells of the full design
+	 * @param {string} name - the name of the option, for error messages
+	 * @return {Array} the values
+	 */
+	static _perCell(value, cells, name) {
+		if (typeof value === 'function')
+			return cells.map(({ cell }) => value({ ...cell }));
+
+		if (Array.isArray(value)) {
+			if (value.length !== cells.length)
+				throw { origin: 'FactorialDesign', context: 'when creating a factorial design', error: name + ' should have one entry per cell of the full design (' + cells.length + ')' };
+			return value.slice();
+		}
+
+		return cells.map(() => value);
+	}
+
+}
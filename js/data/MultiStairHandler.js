@@ -0,0 +1,456 @@
+/**
+ * @file Multiple Staircase Handler
+ *
+ * @author Alain Pitiot
+ * @version 3.0.0b11
+ * @copyright (c) 2018 Ilixa Ltd. ({@link http://ilixa.com})
+ * @license Distributed under the terms of the MIT License
+ */
+
+
+import { PsychObject } from '../util/PsychObject';
+import { TrialHandler } from './TrialHandler';
+import { StairHandler } from './StairHandler';
+import { QuestHandler } from './QuestHandler';
+import { RandomGenerator } from '../util/RandomGenerator';
+import * as util from '../util/Util';
+
+
+/**
+ * <p>A Multiple Staircase Handler interleaves several staircases, e.g. one per stimulus condition.</p>
+ *
+ * <p>Each condition specifies one staircase: its 'label', its 'startVal' and, optionally, any other parameter of
+ * {@link module:data.StairHandler} (or of {@link module:data.QuestHandler} for Quest staircases).
+ * The remaining fields of the condition are available with
+ * [getCurrentTrial]{@link module:data.MultiStairHandler#getCurrentTrial}.</p>
+ *
+ * <p>The staircases are run in passes: each pass runs one trial of every unfinished staircase, either in the
+ * order of the conditions or in a random order. Responses given with
+ * [addResponse]{@link module:data.MultiStairHandler#addResponse} are routed to the staircase of the current trial,
+ * and the label of that staircase is included in the experiment data.</p>
+ *
+ * @name module:data.MultiStairHandler
+ * @class
+ * @extends PsychObject
+ * @param {Object} options
+ * @param {module:core.PsychoJS} options.psychoJS - the PsychoJS instance
+ * @param {module:data.MultiStairHandler.StairType} [options.stairType= MultiStairHandler.StairType.SIMPLE] - the type of the staircases
+ * @param {module:data.MultiStairHandler.Method} [options.method= MultiStairHandler.Method.RANDOM] - the order in which the staircases are run
+ * @param {Array.<Object> | String} options.conditions - the staircase specifications, or the name of a condition resource
+ * @param {number} [options.nTrials= 50] - the minimum number of trials of each staircase, unless specified in its condition
+ * @param {Object} [options.extraInfo] - additional information to be stored alongside the staircase data
+ * @param {number} [options.seed] - seed for the random number generator of the handler, drawn at random if undefined
+ * @param {string} [options.name] - the name of the handler, used as a prefix for its columns in the data
+ * @param {boolean} [options.autoLog= true] - whether or not to log
+ */
+export class MultiStairHandler extends PsychObject {
+
+	/**
+	 * Getter for experimentHandler.
+	 *
+	 * @name module:data.MultiStairHandler#experimentHandler
+	 * @function
+	 * @public
+	 */
+	get experimentHandler() { return this._experimentHandler; }
+
+	/**
+	 * Setter for experimentHandler.
+	 *
+	 * <p>Note: the experiment handler is also passed on to the staircases.</p>
+	 *
+	 * @name module:data.MultiStairHandler#experimentHandler
+	 * @function
+	 * @public
+	 */
+	set experimentHandler(exp) {
+		this._experimentHandler = exp;
+		for (const staircase of this._staircases)
+			staircase.experimentHandler = exp;
+	}
+
+	/**
+	 * Getter for the random number generator used to interleave the staircases.
+	 *
+	 * @name module:data.MultiStairHandler#randomGenerator
+	 * @function
+	 * @public
+	 */
+	get randomGenerator() { return this._randomGenerator; }
+
+	/**
+	 * Getter for the intensities of the current staircase.
+	 *
+	 * @name module:data.MultiStairHandler#intensities
+	 * @function
+	 * @public
+	 */
+	get intensities() {
+		return (this._currentStaircase) ? this._currentStaircase.intensities : [];
+	}
+
+	/**
+	 * Getter for the responses given to the current staircase.
+	 *
+	 * @name module:data.MultiStairHandler#data
+	 * @function
+	 * @public
+	 */
+	get data() {
+		return (this._currentStaircase) ? this._currentStaircase.data : [];
+	}
+
+
+	/**
+	 * @constructor
+	 * @public
+	 */
+	constructor({
+		psychoJS,
+		stairType = MultiStairHandler.StairType.SIMPLE,
+		method = MultiStairHandler.Method.RANDOM,
+		conditions,
+		nTrials = 50,
+		extraInfo = {},
+		seed,
+		name,
+		autoLog = true
+	} = {}) {
+		super(psychoJS);
+
+		this._addAttributes(MultiStairHandler, stairType, method, conditions, nTrials, extraInfo, seed, name, autoLog);
+
+		this._experimentHandler = null;
+		this._prepareStaircases(conditions);
+
+		// the handler has its own random number generator, which does not interfere with that of other loops:
+		this._randomGenerator = new RandomGenerator({ seed: this.seed });
+
+		// staircases remaining in the current pass, and staircase of the current trial:
+		this._currentPass = [];
+		this._currentStaircase = null;
+		this._currentCondition = undefined;
+
+		// the current pass:
+		this.thisRepN = -1;
+
+		// total number of trials completed so far:
+		this.thisTrialN = -1;
+		this.thisN = -1;
+
+		this.finished = false;
+	}
+
+
+	/**
+	 * Iterator over the interleaved trials.
+	 *
+	 * <p>Each iteration returns the intensity of the next trial of the staircase whose turn it is.</p>
+	 */
+	[Symbol.iterator]() {
+		return {
+			next: () => {
+				while (true) {
+					// start a new pass with the unfinished staircases:
+					if (this._currentPass.length === 0) {
+						this._currentPass = this._preparePass();
+						if (this._currentPass.length === 0) {
+							this.finished = true;
+							this._currentStaircase = null;
+							return { done: true };
+						}
+						this.thisRepN++;
+					}
+
+					const staircase = this._currentPass.shift();
+					const { value, done } = staircase.iterator.next();
+					if (done)
+						continue;
+
+					this._currentStaircase = staircase.handler;
+					this._currentCondition = staircase.condition;
+					this.thisTrialN++;
+					this.thisN = this.thisTrialN;
+
+					return { value, done: false };
+				}
+			}
+		};
+	};
+
+
+	/**
+	 * Get the staircase of the current trial.
+	 *
+	 * @name module:data.MultiStairHandler#getCurrentStaircase
+	 * @function
+	 * @public
+	 * @return {module:data.StairHandler|undefined} the current staircase or undefined if no trial has started
+	 */
+	getCurrentStaircase() {
+		return (this._currentStaircase) ? this._currentStaircase : undefined;
+	}
+
+
+	/**
+	 * Get the condition of the staircase of the current trial.
+	 *
+	 * @name module:data.MultiStairHandler#getCurrentTrial
+	 * @function
+	 * @public
+	 * @return {Object|undefined} the current condition or undefined if no trial has started
+	 */
+	getCurrentTrial() {
+		return (this._currentStaircase) ? this._currentCondition : undefined;
+	}
+
+
+	/**
+	 * Get all the staircases.
+	 *
+	 * @name module:data.MultiStairHandler#getStaircases
+	 * @function
+	 * @public
+	 * @return {Array.<module:data.StairHandler>} the staircases, in the order of the conditions
+	 */
+	getStaircases() {
+		return this._staircases.slice();
+	}
+
+
+	/**
+	 * Add the response to the current trial to the current staircase.
+	 *
+	 * @name module:data.MultiStairHandler#addResponse
+	 * @function
+	 * @public
+	 * @param {number|boolean} result - the response: 1 (or true) for correct, 0 (or false) for incorrect
+	 * @param {number} [intensity] - the intensity actually presented, if it differs from that given by the staircase
+	 * @throws {Object.<string, *>} exception if no trial has started
+	 */
+	addResponse(result, intensity) {
+		if (!this._currentStaircase)
+			throw { origin: 'MultiStairHandler.addResponse', context: 'when adding a response to a staircase', error: 'no trial has started' };
+
+		this._currentStaircase.addResponse(result, intensity);
+	}
+
+
+	/**
+	 * Add a key/value pair to data about the current trial held by the experiment handler
+	 *
+	 * @name module:data.MultiStairHandler#addData
+	 * @function
+	 * @public
+	 * @param {Object} key - the key
+	 * @param {Object} value - the value
+	 */
+	addData(key, value) {
+		if (this._experimentHandler)
+			this._experimentHandler.addData(key, value);
+	}
+
+
+	/**
+	 * Get the state of the handler, i.e. the states of the staircases and the position in the current pass.
+	 *
+	 * @name module:data.MultiStairHandler#getState
+	 * @function
+	 * @public
+	 * @return {Object} the state, which can be serialised in JSON
+	 */
+	getState() {
+		return {
+			staircases: this._staircases.map(staircase => staircase.getState()),
+			randomState: this._randomGenerator.getState(),
+			currentPass: this._currentPass.map(entry => this._entries.indexOf(entry)),
+			currentStaircase: this._staircases.indexOf(this._currentStaircase),
+			thisRepN: this.thisRepN,
+			thisTrialN: this.thisTrialN,
+			thisN: this.thisN,
+			finished: this.finished
+		};
+	}
+
+
+	/**
+	 * Restore the state of the handler, e.g. when resuming an interrupted session.
+	 *
+	 * @name module:data.MultiStairHandler#setState
+	 * @function
+	 * @public
+	 * @param {Object} state - a state returned by [getState]{@link module:data.MultiStairHandler#getState}
+	 * @param {Object} [options]
+	 * @param {boolean} [options.rewind= false] - whether the current trial of the state should be run again, which is only possible if no response has been added to it
+	 */
+	setState(state, { rewind = false } = {}) {
+		const current = state.currentStaircase;
+		const currentState = (current >= 0) ? state.staircases[current] : undefined;
+		rewind = rewind && !state.finished && typeof currentState !== 'undefined' && currentState.intensities.length > currentState.data.length;
+
+		for (let s = 0; s < this._staircases.length; ++s)
+			this._staircases[s].setState(state.staircases[s], { rewind: rewind && s === current });
+
+		this._randomGenerator.setState(state.randomState);
+		this._currentPass = state.currentPass.map(index => this._entries[index]);
+		this._currentStaircase = (current >= 0) ? this._staircases[current] : null;
+		this._currentCondition = (current >= 0) ? this._entries[current].condition : undefined;
+		this.thisRepN = state.thisRepN;
+		this.thisTrialN = state.thisTrialN;
+		this.thisN = state.thisN;
+		this.finished = state.finished;
+
+		// the iterator will return the current trial again, as part of the current pass:
+		if (rewind) {
+			this._currentPass.unshift(this._entries[current]);
+			this.thisTrialN--;
+			this.thisN--;
+		}
+	}
+
+
+	/**
+	 * Create one staircase per condition.
+	 *
+	 * @name module:data.MultiStairHandler#_prepareStaircases
+	 * @function
+	 * @protected
+	 * @param {Array.<Object> | String} conditions - the staircase specifications, or the name of a condition resource
+	 */
+	_prepareStaircases(conditions) {
+		let response = { origin: 'MultiStairHandler._prepareStaircases', context: 'when preparing the staircases' };
+
+		if (typeof conditions === 'string')
+			conditions = TrialHandler.importConditions(this.psychoJS.serverManager, conditions);
+		if (!Array.isArray(conditions) || conditions.length === 0)
+			throw { ...response, error: 'conditions should be a non-empty array or the name of a condition resource' };
+
+		let cls, parameters;
+		if (this.stairType === MultiStairHandler.StairType.SIMPLE) {
+			cls = StairHandler;
+			parameters = ['startVal', 'nReversals', 'stepSizes', 'nTrials', 'nUp', 'nDown', 'applyInitialRule', 'stepType', 'minVal', 'maxVal'];
+		}
+		else if (this.stairType === MultiStairHandler.StairType.QUEST) {
+			cls = QuestHandler;
+			parameters = ['startVal', 'startValSd', 'pThreshold', 'nTrials', 'stopInterval', 'method', 'beta', 'delta', 'gamma', 'grain', 'range', 'minVal', 'maxVal'];
+		}
+		else
+			throw { ...response, error: 'unknown staircase type: ' + util.toString(this.stairType) };
+
+		this._staircases = [];
+		this._entries = [];
+		for (let c = 0; c < conditions.length; ++c) {
+			const condition = conditions[c];
+			if (typeof condition !== 'object' || condition === null || !('startVal' in condition))
+				throw { ...response, error: 'condition ' + c + ' should have a startVal' };
+
+			const label = ('label' in condition) ? condition.label : 'staircase' + c;
+			let options = { psychoJS: this.psychoJS, nTrials: this.nTrials, extraInfo: condition, name: label, autoLog: this.autoLog };
+			for (const parameter of parameters)
+				if (parameter in condition && typeof condition[parameter] !== 'undefined')
+					options[parameter] = MultiStairHandler._parseValue(condition[parameter]);
+
+			try {
+				const handler = new cls(options);
+				this._staircases.push(handler);
+				this._entries.push({ handler, condition, iterator: handler[Symbol.iterator]() });
+			}
+			catch (error) {
+				throw { ...response, error: 'unable to create staircase ' + label + ': ' + util.toString(error) };
+			}
+		}
+	}
+
+
+	/**
+	 * Prepare the next pass over the unfinished staircases.
+	 *
+	 * @name module:data.MultiStairHandler#_preparePass
+	 * @function
+	 * @protected
+	 * @return {Array.<Object>} the staircase entries, in the order in which they will be run
+	 */
+	_preparePass() {
+		const unfinished = this._entries.filter(entry => !entry.handler.finished);
+
+		if (this.method === MultiStairHandler.Method.SEQUENTIAL)
+			return unfinished;
+
+		if (this.method === MultiStairHandler.Method.RANDOM)
+			return this._randomGenerator.shuffle(unfinished);
+
+		if (this.method === MultiStairHandler.Method.FULL_RANDOM)
+			return (unfinished.length > 0) ? [unfinished[this._randomGenerator.randint(0, unfinished.length)]] : [];
+
+		throw { origin: 'MultiStairHandler._preparePass', context: 'when preparing a pass over the staircases', error: 'unknown method' };
+	}
+
+
+	/**
+	 * Parse a staircase parameter read from a condition resource, e.g. '[8, 4, 2]' for the step sizes.
+	 *
+	 * @name module:data.MultiStairHandler._parseValue
+	 * @function
+	 * @static
+	 * @protected
+	 * @param {*} value - the value
+	 * @return {*} the parsed value, or the value itself if it is not a JSON string
+	 */
+	static _parseValue(value) {
+		if (typeof value !== 'string')
+			return value;
+
+		try {
+			return JSON.parse(value);
+		}
+		catch (error) {
+			return value;
+		}
+	}
+
+}
+
+
+/**
+ * MultiStairHandler staircase type
+ *
+ * @enum {Symbol}
+ * @readonly
+ * @public
+ */
+MultiStairHandler.StairType = {
+	/**
+	 * Up-down staircases: {@link module:data.StairHandler}.
+	 */
+	SIMPLE: Symbol.for('SIMPLE'),
+
+	/**
+	 * Bayesian staircases: {@link module:data.QuestHandler}.
+	 */
+	QUEST: Symbol.for('QUEST')
+};
+
+
+/**
+ * MultiStairHandler method
+ *
+ * @enum {Symbol}
+ * @readonly
+ * @public
+ */
+MultiStairHandler.Method = {
+	/**
+	 * Each pass runs the staircases in the order of the conditions.
+	 */
+	SEQUENTIAL: Symbol.for('SEQUENTIAL'),
+
+	/**
+	 * Each pass runs the staircases in a random order.
+	 */
+	RANDOM: Symbol.for('RANDOM'),
+
+	/**
+	 * Each trial is drawn at random from the unfinished staircases.
+	 */
+	FULL_RANDOM: Symbol.for('FULL_RANDOM')
+};
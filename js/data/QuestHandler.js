@@ -0,0 +1,345 @@
+/**
+ * @file Quest Handler
+ *
+ * @author Alain Pitiot
+ * @version 3.0.0b11
+ * @copyright (c) 2018 Ilixa Ltd. ({@link http://ilixa.com})
+ * @license Distributed under the terms of the MIT License
+ */
+
+
+import { StairHandler } from './StairHandler';
+import * as util from '../util/Util';
+
+
+/**
+ * <p>A Quest Handler implements the QUEST Bayesian adaptive procedure (Watson & Pelli, 1983): it maintains a
+ * posterior distribution of the threshold, given a Weibull psychometric function, and proposes the intensity
+ * of the next trial from that distribution.</p>
+ *
+ * <p>Intensities are typically expressed in log units (e.g. log10 contrast). The handler is used exactly like a
+ * {@link module:data.StairHandler}: the iterator returns the intensity of each trial and
+ * [addResponse]{@link module:data.StairHandler#addResponse} updates the posterior. The staircase finishes after
+ * nTrials trials or, if stopInterval is given, once the 90% confidence interval of the threshold is narrower
+ * than stopInterval, whichever comes first. At least one of nTrials and stopInterval must be given.</p>
+ *
+ * @name module:data.QuestHandler
+ * @class
+ * @extends module:data.StairHandler
+ * @param {Object} options
+ * @param {module:core.PsychoJS} options.psychoJS - the PsychoJS instance
+ * @param {number} options.startVal - the prior guess of the threshold
+ * @param {number} options.startValSd - the standard deviation of the prior guess
+ * @param {number} [options.pThreshold= 0.82] - the probability of a correct response at threshold
+ * @param {number} [options.nTrials] - the maximum number of trials, required if stopInterval is not given
+ * @param {number} [options.stopInterval] - the width of the 90% confidence interval below which the staircase finishes, required if nTrials is not given
+ * @param {module:data.QuestHandler.Method|string} [options.method= QuestHandler.Method.QUANTILE] - the estimate of the threshold used as the next intensity, PsychoPy's 'quantile', 'mean' and 'mode' are also accepted
+ * @param {number} [options.beta= 3.5] - the steepness of the psychometric function
+ * @param {number} [options.delta= 0.01] - the fraction of trials on which the participant responds blindly
+ * @param {number} [options.gamma= 0.5] - the probability of a correct response when the intensity is very low
+ * @param {number} [options.grain= 0.01] - the spacing of the threshold grid
+ * @param {number} [options.range] - the extent of the threshold grid, centred on startVal, by default 500 * grain
+ * @param {Object} [options.extraInfo] - additional information to be stored alongside the staircase data
+ * @param {number} [options.minVal] - the minimum intensity
+ * @param {number} [options.maxVal] - the maximum intensity
+ * @param {string} [options.name] - the name of the staircase, used as a prefix for its columns in the data
+ * @param {boolean} [options.autoLog= true] - whether or not to log
+ */
+export class QuestHandler extends StairHandler {
+
+	/**
+	 * @constructor
+	 * @public
+	 */
+	constructor({
+		psychoJS,
+		startVal,
+		startValSd,
+		pThreshold = 0.82,
+		nTrials,
+		stopInterval,
+		method = QuestHandler.Method.QUANTILE,
+		beta = 3.5,
+		delta = 0.01,
+		gamma = 0.5,
+		grain = 0.01,
+		range,
+		extraInfo = {},
+		minVal,
+		maxVal,
+		name,
+		autoLog = true
+	} = {}) {
+		super({ psychoJS, startVal, nTrials, stepType: StairHandler.StepType.LIN, extraInfo, minVal, maxVal, name, autoLog });
+
+		let response = { origin: 'QuestHandler', context: 'when creating a Quest staircase' };
+
+		if (typeof startValSd !== 'number' || startValSd <= 0)
+			throw { ...response, error: 'startValSd should be a positive number' };
+		if (pThreshold <= delta * gamma || pThreshold >= 1 - delta * (1 - gamma))
+			throw { ...response, error: 'pThreshold is out of the range of the psychometric function' };
+		if (!(typeof nTrials === 'number' && nTrials > 0) && typeof stopInterval !== 'number')
+			throw { ...response, error: 'either nTrials or stopInterval should be given, for the staircase to finish' };
+
+		method = QuestHandler._getMethod(method);
+
+		this._addAttributes(QuestHandler, startValSd, pThreshold, stopInterval, method, beta, delta, gamma, grain, range);
+
+		// the step size is meaningless for QUEST, so we do not want it in the data:
+		delete this.stepSizeCurrent;
+
+		// offset of the psychometric function, such that the probability of a correct response at threshold is pThreshold:
+		const e = (1.0 - (pThreshold - delta * gamma) / (1.0 - delta)) / (1.0 - gamma);
+		this._xThreshold = Math.log10(-Math.log(e)) / beta;
+
+		// grid of possible thresholds and log of the prior, a gaussian centred on startVal:
+		const dim = (typeof range === 'number') ? 2 * Math.ceil(range / grain / 2) : 500;
+		this._thresholds = [];
+		this._logPdf = [];
+		for (let i = -dim / 2; i <= dim / 2; ++i) {
+			const x = i * grain;
+			this._thresholds.push(startVal + x);
+			this._logPdf.push(-0.5 * Math.pow(x / startValSd, 2));
+		}
+		this._pdf = this._normalisePdf();
+	}
+
+
+	/**
+	 * Get the mean of the posterior distribution of the threshold.
+	 *
+	 * @name module:data.QuestHandler#mean
+	 * @function
+	 * @public
+	 * @return {number} the mean threshold
+	 */
+	mean() {
+		let mean = 0;
+		for (let i = 0; i < this._thresholds.length; ++i)
+			mean += this._pdf[i] * this._thresholds[i];
+		return mean;
+	}
+
+
+	/**
+	 * Get the mode of the posterior distribution of the threshold.
+	 *
+	 * @name module:data.QuestHandler#mode
+	 * @function
+	 * @public
+	 * @return {number} the most likely threshold
+	 */
+	mode() {
+		let modeIndex = 0;
+		for (let i = 1; i < this._pdf.length; ++i)
+			if (this._pdf[i] > this._pdf[modeIndex])
+				modeIndex = i;
+		return this._thresholds[modeIndex];
+	}
+
+
+	/**
+	 * Get a quantile of the posterior distribution of the threshold.
+	 *
+	 * @name module:data.QuestHandler#quantile
+	 * @function
+	 * @public
+	 * @param {number} [p= 0.5] - the quantile, between 0 and 1
+	 * @return {number} the threshold below which the given fraction of the posterior lies
+	 */
+	quantile(p = 0.5) {
+		let cumulative = 0;
+		for (let i = 0; i < this._pdf.length; ++i) {
+			const previous = cumulative;
+			cumulative += this._pdf[i];
+			if (cumulative >= p) {
+				// linear interpolation within the grid cell:
+				const fraction = (this._pdf[i] > 0) ? (p - previous) / this._pdf[i] : 0;
+				return this._thresholds[i] + (fraction - 0.5) * this.grain;
+			}
+		}
+		return this._thresholds[this._thresholds.length - 1];
+	}
+
+
+	/**
+	 * Get the standard deviation of the posterior distribution of the threshold.
+	 *
+	 * @name module:data.QuestHandler#sd
+	 * @function
+	 * @public
+	 * @return {number} the standard deviation
+	 */
+	sd() {
+		const mean = this.mean();
+		let variance = 0;
+		for (let i = 0; i < this._thresholds.length; ++i)
+			variance += this._pdf[i] * Math.pow(this._thresholds[i] - mean, 2);
+		return Math.sqrt(variance);
+	}
+
+
+	/**
+	 * Get the 90% confidence interval of the threshold.
+	 *
+	 * @name module:data.QuestHandler#confInterval
+	 * @function
+	 * @public
+	 * @param {boolean} [getDifference= false] - whether to return the width of the interval rather than its bounds
+	 * @return {Array.number|number} the [5%, 95%] quantiles, or the difference between them
+	 */
+	confInterval(getDifference = false) {
+		const interval = [this.quantile(0.05), this.quantile(0.95)];
+		return (getDifference) ? interval[1] - interval[0] : interval;
+	}
+
+
+	/**
+	 * Get the state of the staircase, including the posterior distribution of the threshold.
+	 *
+	 * @name module:data.QuestHandler#getState
+	 * @function
+	 * @public
+	 * @return {Object} the state, which can be serialised in JSON
+	 */
+	getState() {
+		return { ...super.getState(), logPdf: this._logPdf.slice() };
+	}
+
+
+	/**
+	 * Restore the state of the staircase, e.g. when resuming an interrupted session.
+	 *
+	 * @name module:data.QuestHandler#setState
+	 * @function
+	 * @public
+	 * @param {Object} state - a state returned by [getState]{@link module:data.QuestHandler#getState}
+	 * @param {Object} [options]
+	 * @param {boolean} [options.rewind= false] - whether the current trial of the state should be run again, which is only possible if no response has been added to it
+	 */
+	setState(state, options) {
+		super.setState(state, options);
+
+		this._logPdf = state.logPdf.slice();
+		this._pdf = this._normalisePdf();
+	}
+
+
+	/**
+	 * Update the posterior with the response to the current trial and compute the intensity of the next trial.
+	 *
+	 * @name module:data.QuestHandler#_calculateNextIntensity
+	 * @function
+	 * @protected
+	 */
+	_calculateNextIntensity() {
+		const intensity = this.intensities[this.intensities.length - 1];
+		const correct = (this.data[this.data.length - 1] === 1);
+
+		// (*) update the posterior:
+		for (let i = 0; i < this._thresholds.length; ++i) {
+			const p = this._psychometric(intensity - this._thresholds[i] + this._xThreshold);
+			this._logPdf[i] += Math.log(correct ? p : 1.0 - p);
+		}
+		this._pdf = this._normalisePdf();
+
+		// (*) test whether the staircase has finished:
+		if (this.nTrials > 0 && this.intensities.length >= this.nTrials)
+			this.finished = true;
+		if (typeof this.stopInterval === 'number' && this.confInterval(true) < this.stopInterval)
+			this.finished = true;
+
+		// (*) next intensity:
+		if (this.method === QuestHandler.Method.MEAN)
+			this._nextIntensity = this.mean();
+		else if (this.method === QuestHandler.Method.MODE)
+			this._nextIntensity = this.mode();
+		else
+			this._nextIntensity = this.quantile();
+
+		if (typeof this.maxVal === 'number' && this._nextIntensity > this.maxVal)
+			this._nextIntensity = this.maxVal;
+		if (typeof this.minVal === 'number' && this._nextIntensity < this.minVal)
+			this._nextIntensity = this.minVal;
+	}
+
+
+	/**
+	 * Weibull psychometric function.
+	 *
+	 * @name module:data.QuestHandler#_psychometric
+	 * @function
+	 * @protected
+	 * @param {number} x - the intensity relative to threshold, offset by xThreshold
+	 * @return {number} the probability of a correct response
+	 */
+	_psychometric(x) {
+		return this.delta * this.gamma + (1.0 - this.delta) * (1.0 - (1.0 - this.gamma) * Math.exp(-Math.pow(10, this.beta * x)));
+	}
+
+
+	/**
+	 * Get the normalised posterior from its log.
+	 *
+	 * @name module:data.QuestHandler#_normalisePdf
+	 * @function
+	 * @protected
+	 * @return {Array.number} the posterior, which sums to 1
+	 */
+	_normalisePdf() {
+		// we subtract the maximum before exponentiating to avoid underflows:
+		const maxLogPdf = Math.max(...this._logPdf);
+		const pdf = this._logPdf.map(logP => Math.exp(logP - maxLogPdf));
+		const sum = pdf.reduce((total, p) => total + p, 0);
+		return pdf.map(p => p / sum);
+	}
+
+
+	/**
+	 * Get the method corresponding to the given Method or PsychoPy method ('quantile', 'mean' or 'mode').
+	 *
+	 * @name module:data.QuestHandler._getMethod
+	 * @function
+	 * @static
+	 * @protected
+	 * @param {module:data.QuestHandler.Method|string} method - the method
+	 * @return {module:data.QuestHandler.Method} the method
+	 * @throws {Object.<string, *>} exception if the method is unknown
+	 */
+	static _getMethod(method) {
+		if (typeof method === 'string' && method.toUpperCase() in QuestHandler.Method)
+			return QuestHandler.Method[method.toUpperCase()];
+
+		for (const m in QuestHandler.Method)
+			if (QuestHandler.Method[m] === method)
+				return method;
+
+		throw { origin: 'QuestHandler._getMethod', context: 'when getting the method of a Quest staircase', error: 'unknown method: ' + util.toString(method) };
+	}
+
+}
+
+
+/**
+ * QuestHandler method used to select the next intensity
+ *
+ * @enum {Symbol}
+ * @readonly
+ * @public
+ */
+QuestHandler.Method = {
+	/**
+	 * The median of the posterior.
+	 */
+	QUANTILE: Symbol.for('QUANTILE'),
+
+	/**
+	 * The mean of the posterior.
+	 */
+	MEAN: Symbol.for('MEAN'),
+
+	/**
+	 * The mode of the posterior.
+	 */
+	MODE: Symbol.for('MODE')
+};
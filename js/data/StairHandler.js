@@ -0,0 +1,420 @@
+/**
+ * @file Staircase Handler
+ *
+ * @author Alain Pitiot
+ * @version 3.0.0b11
+ * @copyright (c) 2018 Ilixa Ltd. ({@link http://ilixa.com})
+ * @license Distributed under the terms of the MIT License
+ */
+
+
+import { PsychObject } from '../util/PsychObject';
+import * as util from '../util/Util';
+
+
+/**
+ * <p>A Stair Handler implements a simple up-down staircase: the intensity decreases after nDown consecutive
+ * correct responses and increases after nUp consecutive incorrect responses.</p>
+ *
+ * <p>The step size can change after each reversal (stepSizes is then an array), steps can be linear, logarithmic or
+ * in decibels, and the intensity is kept between minVal and maxVal. The staircase finishes once it has reached
+ * nReversals reversals and run at least nTrials trials.</p>
+ *
+ * <p>The intensity of the next trial depends on the response to the current trial, so the iterator is lazy:
+ * each call to next() returns the intensity for the responses given so far with
+ * [addResponse]{@link module:data.StairHandler#addResponse}. When the StairHandler is added to the
+ * {@link ExperimentHandler}, the intensity and response of each trial are automatically included in the data.</p>
+ *
+ * @example
+ * const staircase = new StairHandler({psychoJS, startVal: 0.5, stepSizes: [0.1, 0.05], stepType: StairHandler.StepType.LIN, nReversals: 6, nDown: 2, name: 'staircase'});
+ * psychoJS.experiment.addLoop(staircase);
+ * const iterator = staircase[Symbol.iterator]();
+ * // at the beginning of each trial:
+ * const { value: intensity, done } = iterator.next();
+ * // at the end of each trial:
+ * staircase.addResponse(isCorrect);
+ * psychoJS.experiment.nextEntry();
+ *
+ * @name module:data.StairHandler
+ * @class
+ * @extends PsychObject
+ * @param {Object} options
+ * @param {module:core.PsychoJS} options.psychoJS - the PsychoJS instance
+ * @param {number} options.startVal - the initial intensity
+ * @param {number} [options.nReversals] - the minimum number of reversals, by default the number of step sizes
+ * @param {number|Array.number} [options.stepSizes= 4] - the step size, or the step sizes used after each reversal, the last one being used for all remaining reversals
+ * @param {number} [options.nTrials= 0] - the minimum number of trials
+ * @param {number} [options.nUp= 1] - the number of consecutive incorrect responses after which the intensity increases
+ * @param {number} [options.nDown= 3] - the number of consecutive correct responses after which the intensity decreases
+ * @param {boolean} [options.applyInitialRule= true] - whether or not to use a 1-up/1-down rule until the first reversal
+ * @param {Object} [options.extraInfo] - additional information to be stored alongside the staircase data
+ * @param {module:data.StairHandler.StepType|string} [options.stepType= StairHandler.StepType.DB] - the type of step, PsychoPy's 'db', 'lin' and 'log' are also accepted
+ * @param {number} [options.minVal] - the minimum intensity
+ * @param {number} [options.maxVal] - the maximum intensity
+ * @param {string} [options.name] - the name of the staircase, used as a prefix for its columns in the data
+ * @param {boolean} [options.autoLog= true] - whether or not to log
+ */
+export class StairHandler extends PsychObject {
+
+	/**
+	 * Getter for experimentHandler.
+	 *
+	 * @name module:data.StairHandler#experimentHandler
+	 * @function
+	 * @public
+	 */
+	get experimentHandler() { return this._experimentHandler; }
+
+	/**
+	 * Setter for experimentHandler.
+	 *
+	 * @name module:data.StairHandler#experimentHandler
+	 * @function
+	 * @public
+	 */
+	set experimentHandler(exp) {
+		this._experimentHandler = exp;
+	}
+
+	/**
+	 * Getter for the intensity of the current trial.
+	 *
+	 * @name module:data.StairHandler#intensity
+	 * @function
+	 * @public
+	 */
+	get intensity() {
+		return (this.intensities.length > 0) ? this.intensities[this.intensities.length - 1] : undefined;
+	}
+
+
+	/**
+	 * @constructor
+	 * @public
+	 */
+	constructor({
+		psychoJS,
+		startVal,
+		nReversals,
+		stepSizes = 4,
+		nTrials = 0,
+		nUp = 1,
+		nDown = 3,
+		applyInitialRule = true,
+		extraInfo = {},
+		stepType = StairHandler.StepType.DB,
+		minVal,
+		maxVal,
+		name,
+		autoLog = true
+	} = {}) {
+		super(psychoJS);
+
+		let response = { origin: 'StairHandler', context: 'when creating a staircase' };
+
+		if (typeof startVal !== 'number')
+			throw { ...response, error: 'startVal should be a number' };
+
+		// we use arrays of step sizes throughout:
+		if (!Array.isArray(stepSizes))
+			stepSizes = [stepSizes];
+		if (stepSizes.length === 0)
+			throw { ...response, error: 'stepSizes should not be empty' };
+		if (typeof nReversals === 'undefined')
+			nReversals = stepSizes.length;
+
+		stepType = StairHandler._getStepType(stepType);
+
+		this._addAttributes(StairHandler, startVal, nReversals, stepSizes, nTrials, nUp, nDown, applyInitialRule, extraInfo, stepType, minVal, maxVal, name, autoLog);
+
+		// intensities and responses (1 for correct, 0 for incorrect) of the trials run so far:
+		this.intensities = [];
+		this.data = [];
+
+		// reversals:
+		this.reversalIntensities = [];
+		this.reversalPoints = [];
+
+		// current state of the staircase:
+		this.currentDirection = 'start';
+		this.correctCounter = 0;
+		this.stepSizeCurrent = this.stepSizes[0];
+		this._nextIntensity = this.startVal;
+		this._variableStep = (this.stepSizes.length > 1);
+		this._initialRule = false;
+
+		// the current trial number:
+		this.thisTrialN = -1;
+		this.thisN = -1;
+
+		this._experimentHandler = null;
+		this.finished = false;
+	}
+
+
+	/**
+	 * Iterator over the trials of the staircase.
+	 *
+	 * <p>Each iteration returns the intensity of the next trial, based on the responses given so far.</p>
+	 */
+	[Symbol.iterator]() {
+		return {
+			next: () => {
+				if (this.finished)
+					return { done: true };
+
+				this.thisTrialN++;
+				this.thisN = this.thisTrialN;
+				this.intensities.push(this._nextIntensity);
+
+				return { value: this._nextIntensity, done: false };
+			}
+		};
+	};
+
+
+	/**
+	 * Add the response to the current trial and compute the intensity of the next trial.
+	 *
+	 * @name module:data.StairHandler#addResponse
+	 * @function
+	 * @public
+	 * @param {number|boolean} result - the response: 1 (or true) for correct, 0 (or false) for incorrect
+	 * @param {number} [intensity] - the intensity actually presented, if it differs from that given by the staircase
+	 */
+	addResponse(result, intensity) {
+		result = (result) ? 1 : 0;
+		this.data.push(result);
+
+		if (typeof intensity !== 'undefined') {
+			this.intensities.pop();
+			this.intensities.push(intensity);
+		}
+
+		// update the count of consecutive correct (positive) or incorrect (negative) responses:
+		const previousResult = (this.data.length > 1) ? this.data[this.data.length - 2] : undefined;
+		if (result === 1)
+			this.correctCounter = (previousResult === result) ? this.correctCounter + 1 : 1;
+		else
+			this.correctCounter = (previousResult === result) ? this.correctCounter - 1 : -1;
+
+		this._calculateNextIntensity();
+	}
+
+
+	/**
+	 * Add a key/value pair to data about the current trial held by the experiment handler
+	 *
+	 * @name module:data.StairHandler#addData
+	 * @function
+	 * @public
+	 * @param {Object} key - the key
+	 * @param {Object} value - the value
+	 */
+	addData(key, value) {
+		if (this._experimentHandler)
+			this._experimentHandler.addData(key, value);
+	}
+
+
+	/**
+	 * Get the state of the staircase, i.e. the intensities and responses of the trials run so far, and its
+	 * position in the up-down sequence.
+	 *
+	 * @name module:data.StairHandler#getState
+	 * @function
+	 * @public
+	 * @return {Object} the state, which can be serialised in JSON
+	 */
+	getState() {
+		return {
+			intensities: this.intensities.slice(),
+			data: this.data.slice(),
+			reversalIntensities: this.reversalIntensities.slice(),
+			reversalPoints: this.reversalPoints.slice(),
+			currentDirection: this.currentDirection,
+			correctCounter: this.correctCounter,
+			stepSizeCurrent: this.stepSizeCurrent,
+			nextIntensity: this._nextIntensity,
+			initialRule: this._initialRule,
+			thisTrialN: this.thisTrialN,
+			thisN: this.thisN,
+			finished: this.finished
+		};
+	}
+
+
+	/**
+	 * Restore the state of the staircase, e.g. when resuming an interrupted session.
+	 *
+	 * @name module:data.StairHandler#setState
+	 * @function
+	 * @public
+	 * @param {Object} state - a state returned by [getState]{@link module:data.StairHandler#getState}
+	 * @param {Object} [options]
+	 * @param {boolean} [options.rewind= false] - whether the current trial of the state should be run again, which is only possible if no response has been added to it
+	 */
+	setState(state, { rewind = false } = {}) {
+		this.intensities = state.intensities.slice();
+		this.data = state.data.slice();
+		this.reversalIntensities = state.reversalIntensities.slice();
+		this.reversalPoints = state.reversalPoints.slice();
+		this.currentDirection = state.currentDirection;
+		this.correctCounter = state.correctCounter;
+		if (typeof state.stepSizeCurrent !== 'undefined')
+			this.stepSizeCurrent = state.stepSizeCurrent;
+		this._nextIntensity = state.nextIntensity;
+		this._initialRule = state.initialRule;
+		this.thisTrialN = state.thisTrialN;
+		this.thisN = state.thisN;
+		this.finished = state.finished;
+
+		// the iterator will return the intensity of the current trial again:
+		if (rewind && this.intensities.length > this.data.length) {
+			this.intensities.pop();
+			this.thisTrialN--;
+			this.thisN--;
+		}
+	}
+
+
+	/**
+	 * Compute the intensity of the next trial, based on the response to the current one.
+	 *
+	 * @name module:data.StairHandler#_calculateNextIntensity
+	 * @function
+	 * @protected
+	 */
+	_calculateNextIntensity() {
+		const lastResult = this.data[this.data.length - 1];
+
+		// (*) direction of the staircase:
+		let reversal = false;
+		if (this.reversalIntensities.length < 1 && this.applyInitialRule) {
+			// 1-up/1-down until the first reversal:
+			if (lastResult === 1) {
+				reversal = (this.currentDirection === 'up');
+				this.currentDirection = 'down';
+			}
+			else {
+				reversal = (this.currentDirection === 'down');
+				this.currentDirection = 'up';
+			}
+		}
+		else if (this.correctCounter >= this.nDown) {
+			reversal = (this.currentDirection === 'up');
+			this.currentDirection = 'down';
+		}
+		else if (this.correctCounter <= -this.nUp) {
+			reversal = (this.currentDirection === 'down');
+			this.currentDirection = 'up';
+		}
+
+		if (reversal) {
+			this.reversalPoints.push(this.thisTrialN);
+			if (this.reversalIntensities.length < 1 && this.applyInitialRule)
+				this._initialRule = true;
+			this.reversalIntensities.push(this.intensities[this.intensities.length - 1]);
+		}
+
+		// (*) test whether the staircase has finished:
+		if (this.reversalIntensities.length >= this.nReversals && this.intensities.length >= this.nTrials)
+			this.finished = true;
+
+		// (*) new step size after a reversal:
+		if (reversal && this._variableStep) {
+			const stepIndex = Math.min(this.reversalIntensities.length, this.stepSizes.length - 1);
+			this.stepSizeCurrent = this.stepSizes[stepIndex];
+		}
+
+		// (*) apply the step:
+		if ((this.reversalIntensities.length < 1 || this._initialRule) && this.applyInitialRule) {
+			this._initialRule = false;
+			if (lastResult === 1)
+				this._step(-1);
+			else
+				this._step(+1);
+		}
+		else if (this.correctCounter >= this.nDown)
+			this._step(-1);
+		else if (this.correctCounter <= -this.nUp)
+			this._step(+1);
+	}
+
+
+	/**
+	 * Increase or decrease the intensity of the next trial by the current step size, within [minVal, maxVal].
+	 *
+	 * @name module:data.StairHandler#_step
+	 * @function
+	 * @protected
+	 * @param {number} direction - +1 to increase the intensity, -1 to decrease it
+	 */
+	_step(direction) {
+		const step = direction * this.stepSizeCurrent;
+
+		if (this.stepType === StairHandler.StepType.DB)
+			this._nextIntensity *= Math.pow(10.0, step / 20.0);
+		else if (this.stepType === StairHandler.StepType.LOG)
+			this._nextIntensity *= Math.pow(10.0, step);
+		else
+			this._nextIntensity += step;
+
+		if (typeof this.maxVal === 'number' && this._nextIntensity > this.maxVal)
+			this._nextIntensity = this.maxVal;
+		if (typeof this.minVal === 'number' && this._nextIntensity < this.minVal)
+			this._nextIntensity = this.minVal;
+
+		// the count of consecutive responses starts anew after each step:
+		this.correctCounter = 0;
+	}
+
+
+	/**
+	 * Get the step type corresponding to the given StepType or PsychoPy step type ('db', 'lin' or 'log').
+	 *
+	 * @name module:data.StairHandler._getStepType
+	 * @function
+	 * @static
+	 * @protected
+	 * @param {module:data.StairHandler.StepType|string} stepType - the step type
+	 * @return {module:data.StairHandler.StepType} the step type
+	 * @throws {Object.<string, *>} exception if the step type is unknown
+	 */
+	static _getStepType(stepType) {
+		if (typeof stepType === 'string' && stepType.toUpperCase() in StairHandler.StepType)
+			return StairHandler.StepType[stepType.toUpperCase()];
+
+		for (const type in StairHandler.StepType)
+			if (StairHandler.StepType[type] === stepType)
+				return stepType;
+
+		throw { origin: 'StairHandler._getStepType', context: 'when getting the step type of a staircase', error: 'unknown step type: ' + util.toString(stepType) };
+	}
+
+}
+
+
+/**
+ * StairHandler step type
+ *
+ * @enum {Symbol}
+ * @readonly
+ * @public
+ */
+StairHandler.StepType = {
+	/**
+	 * Steps are in decibels: the intensity is multiplied by 10^(step/20).
+	 */
+	DB: Symbol.for('DB'),
+
+	/**
+	 * Steps are linear: the step is added to the intensity.
+	 */
+	LIN: Symbol.for('LIN'),
+
+	/**
+	 * Steps are in log10 units: the intensity is multiplied by 10^step.
+	 */
+	LOG: Symbol.for('LOG')
+};
@@ -11,20 +11,55 @@
 
 import { PsychObject } from '../util/PsychObject';
 import * as util from '../util/Util';
+import { FactorialDesign } from './FactorialDesign';
+import { RandomGenerator } from '../util/RandomGenerator';
+import { Scheduler } from '../util/Scheduler';
 
 
 /**
  * <p>A Trial Handler handles the importing and sequencing of conditions.</p>
+ *
+ * <p>The loop can be controlled while it is running, with [finish]{@link module:data.TrialHandler#finish},
+ * [skipRepetition]{@link module:data.TrialHandler#skipRepetition}, [requeueTrial]{@link module:data.TrialHandler#requeueTrial}
+ * and [addTrials]{@link module:data.TrialHandler#addTrials}. Those take effect on the trials that have not been
+ * obtained yet, hence the trials should be obtained one at a time, at the beginning of each trial, either with
+ * [getNextTrial]{@link module:data.TrialHandler#getNextTrial} or by scheduling them with
+ * [scheduleTrials]{@link module:data.TrialHandler#scheduleTrials}.</p>
+ *
+ * @example
+ * function trialsLoopBegin(thisScheduler) {
+ *   trials = new TrialHandler({psychoJS, nReps: 5, trialList: 'conditions.csv'});
+ *   psychoJS.experiment.addLoop(trials);
+ *
+ *   // the tasks of each trial are added when that trial begins:
+ *   trials.scheduleTrials(thisScheduler, (thisTrial) => {
+ *     thisScheduler.add(trialRoutineBegin(thisTrial));
+ *     thisScheduler.add(trialRoutineEachFrame);
+ *     thisScheduler.add(trialRoutineEnd);
+ *   });
+ *
+ *   return Scheduler.Event.NEXT;
+ * }
+ *
+ * // at the end of a trial, e.g. once the participant has reached a criterion:
+ * trials.finish();
  * 
  * @class
  * @extends PsychObject
  * @param {Object} options
  * @param {module:core.PsychoJS} options.psychoJS - the PsychoJS instance
- * @param {Array.<Object> | String} options.trialList - if it is a string, we treat it as the name of a condition resource
+ * @param {Array.<Object> | String | module:data.FactorialDesign} options.trialList - if it is a string, we treat it as the name of a condition resource
  * @param {number} options.nReps - number of repetitions
  * @param {module:data.TrialHandler.Method} options.method - the trial method
+ * @param {Object} [options.methodOptions] - the options of the trial method:
+ * <ul>
+ * <li>CONSTRAINED_RANDOM: column (the name of the constrained attribute), maxRepeats (the maximum number of consecutive trials with the same value of that attribute, 1 by default), maxAttempts (the number of attempts at building each repetition, 1000 by default)</li>
+ * <li>BLOCKED_RANDOM: column (the name of the attribute whose values define the blocks)</li>
+ * <li>LATIN_SQUARE: participantKey (the key of the participant number, a non-negative integer, in the extraInfo, 'participant' by default)</li>
+ * <li>CUSTOM: orderFunction (a function of the trial list, the number of repetitions and a random number generator, which returns a sequence of trial indices)</li>
+ * </ul>
  * @param {Object} options.extraInfo - additional information to be stored alongside the trial data, e.g. session ID, participant ID, etc.
- * @param {number} options.seed - seed for the random number generator
+ * @param {number} options.seed - seed for the random number generator of the TrialHandler, drawn at random if undefined
  * @param {boolean} [options.autoLog= false] - whether or not to log
  */
 export class TrialHandler extends PsychObject {
@@ -49,6 +84,15 @@ export class TrialHandler extends PsychObject {
 		this._experimentHandler = exp;
 	}
 
+	/**
+	 * Getter for the random number generator used to order the trials.
+	 *
+	 * @name module:data.TrialHandler#randomGenerator
+	 * @function
+	 * @public
+	 */
+	get randomGenerator() { return this._randomGenerator; }
+
 
 	/**
 	 * @constructor
@@ -61,6 +105,7 @@ export class TrialHandler extends PsychObject {
 		trialList = [undefined],
 		nReps,
 		method = TrialHandler.Method.RANDOM,
+		methodOptions = {},
 		extraInfo = [],
 		seed,
 		name,
@@ -68,7 +113,7 @@ export class TrialHandler extends PsychObject {
 	} = {}) {
 		super(psychoJS);
 
-		this._addAttributes(TrialHandler, trialList, nReps, method, extraInfo, seed, name, autoLog);
+		this._addAttributes(TrialHandler, trialList, nReps, method, methodOptions, extraInfo, seed, name, autoLog);
 
 		this._prepareTrialList(trialList);
 
@@ -96,6 +141,9 @@ export class TrialHandler extends PsychObject {
 		this.ran = 0;
 		this.order = -1;
 
+		// whether the current trial has been re-queued:
+		this.requeued = 0;
+
 
 		// setup the trial sequence:
 		this._prepareSequence();
@@ -110,6 +158,10 @@ export class TrialHandler extends PsychObject {
 	 * Iterator over the trial sequence.
 	 *
 	 * <p>This makes it possible to iterate over all trials.</p>
+	 * <p>The iteration ends early if the loop has been finished, e.g. with
+	 * [finish]{@link module:data.TrialHandler#finish}.</p>
+	 * <p>Note that the loop can only be controlled while the trials are iterated over one at a time, as they
+	 * begin, e.g. with [scheduleTrials]{@link module:data.TrialHandler#scheduleTrials}.</p>
 	 * @example
 	 * let handler = new TrialHandler({nReps: 5});
 	 * for (const thisTrial of handler) { console.log(thisTrial); }
@@ -117,38 +169,229 @@ export class TrialHandler extends PsychObject {
 	[Symbol.iterator]() {
 		return {
 			next: () => {
-				this.thisTrialN++;
-				this.thisN++;
-				this.nRemaining--;
-
-				// start a new repetition:
-				if (this.thisTrialN === this.nStim) {
-					this.thisTrialN = 0;
-					this.thisRepN++;
-				}
-
-				// check if we have completed the sequence:
-				if (this.thisRepN >= this.nReps) {
-					this.thisTrial = null;
+				const trial = this.getNextTrial();
+				if (this.finished)
 					return { done: true };
-				}
 
-				this.thisIndex = this._trialSequence[this.thisRepN][this.thisTrialN];
-				this.thisTrial = this.trialList[this.thisIndex];
-				this.ran = 1;
-				this.order = this.thisN;
-				/*
-				if self.autoLog:
-					msg = 'New trial (rep=%i, index=%i): %s'
-					vals = (self.thisRepN, self.thisTrialN, self.thisTrial)
-					logging.exp(msg % vals, obj=self.thisTrial)*/
-
-				return { value: this.thisTrial, done: false };
+				return { value: trial, done: false };
 			}
 		};
 	};
 
 
+	/**
+	 * Get the next trial of the sequence.
+	 *
+	 * <p>The trial is undefined once the loop has finished. Since the trials of the default trialList are
+	 * themselves undefined, the end of the loop should be checked with the finished attribute.</p>
+	 *
+	 * @public
+	 * @return {Object|undefined} the next trial, or undefined if the loop has finished
+	 */
+	getNextTrial() {
+		if (this.finished) {
+			this.thisTrial = null;
+			return undefined;
+		}
+
+		this.thisTrialN++;
+		this.thisN++;
+
+		// start a new repetition, skipping those without any trial left:
+		while (this.thisRepN < this.nReps && this.thisTrialN >= this._trialSequence[this.thisRepN].length) {
+			this.thisTrialN = 0;
+			this.thisRepN++;
+		}
+
+		// check if we have completed the sequence:
+		if (this.thisRepN >= this.nReps) {
+			this.thisTrial = null;
+			this.finished = true;
+			return undefined;
+		}
+
+		this.nRemaining--;
+		this.thisIndex = this._trialSequence[this.thisRepN][this.thisTrialN];
+		this.thisTrial = this.trialList[this.thisIndex];
+		this.ran = 1;
+		this.order = this.thisN;
+		this.requeued = 0;
+		/*
+		if self.autoLog:
+			msg = 'New trial (rep=%i, index=%i): %s'
+			vals = (self.thisRepN, self.thisTrialN, self.thisTrial)
+			logging.exp(msg % vals, obj=self.thisTrial)*/
+
+		return this.thisTrial;
+	}
+
+
+	/**
+	 * Schedule the trials one at a time: the tasks of each trial are added to the scheduler when that trial
+	 * begins, after the tasks of the previous trial have run.
+	 *
+	 * <p>Contrary to adding the tasks of all trials when the loop begins, this makes it possible to control
+	 * the loop while it is running, e.g. with [finish]{@link module:data.TrialHandler#finish}.</p>
+	 *
+	 * @public
+	 * @param {Scheduler} scheduler - the scheduler of the loop
+	 * @param {Function} scheduleTrial - function adding the tasks of a trial to the scheduler, called with that trial
+	 */
+	scheduleTrials(scheduler, scheduleTrial) {
+		const beginTrial = () => {
+			const thisTrial = this.getNextTrial();
+			if (!this.finished) {
+				scheduleTrial(thisTrial);
+
+				// the following trial begins once the tasks of this one have run:
+				scheduler.add(beginTrial);
+			}
+
+			return Scheduler.Event.NEXT;
+		};
+
+		scheduler.add(beginTrial);
+	}
+
+
+	/**
+	 * End the loop: the iteration stops before the next trial.
+	 *
+	 * <p>This is typically used once a criterion has been reached, e.g. a number of correct responses.</p>
+	 *
+	 * @public
+	 */
+	finish() {
+		if (this.finished)
+			return;
+
+		this.finished = true;
+
+		// the trials that have been run are all the trials of the loop:
+		this.nTotal = this.thisN + 1;
+		this.nRemaining = 0;
+	}
+
+
+	/**
+	 * Skip the remaining trials of the current repetition: the iteration resumes with the next repetition.
+	 *
+	 * @public
+	 */
+	skipRepetition() {
+		if (this.thisRepN >= this.nReps)
+			return;
+
+		const repetition = this._trialSequence[this.thisRepN];
+		const nbSkipped = repetition.length - (this.thisTrialN + 1);
+		if (nbSkipped <= 0)
+			return;
+
+		this._trialSequence[this.thisRepN] = repetition.slice(0, this.thisTrialN + 1);
+		this.nTotal -= nbSkipped;
+		this.nRemaining -= nbSkipped;
+	}
+
+
+	/**
+	 * Re-queue the current trial at the end of the current repetition, e.g. when it was not run properly.
+	 *
+	 * <p>The current trial is marked as requeued in the data.</p>
+	 *
+	 * @public
+	 * @throws {Object.<string, *>} exception if there is no current trial
+	 */
+	requeueTrial() {
+		if (this.finished || this.thisTrialN < 0 || this.thisRepN >= this.nReps)
+			throw { origin: 'TrialHandler.requeueTrial', context: 'when re-queuing the current trial', error: 'there is no current trial' };
+
+		// note: we do not modify the repetition in place since repetitions may share the same array
+		this._trialSequence[this.thisRepN] = this._trialSequence[this.thisRepN].concat([this.thisIndex]);
+		this.requeued = 1;
+		this.nTotal++;
+		this.nRemaining++;
+	}
+
+
+	/**
+	 * Add trials at the end of the current repetition.
+	 *
+	 * @public
+	 * @param {Array.<Object>} trials - the trials, as an array of 'object as map' like the trialList
+	 * @throws {Object.<string, *>} exception if the loop has finished
+	 */
+	addTrials(trials) {
+		let response = { origin: 'TrialHandler.addTrials', context: 'when adding trials to the loop' };
+
+		if (!Array.isArray(trials))
+			throw { ...response, error: 'trials should be an array' };
+		if (this.finished || this.thisRepN >= this.nReps)
+			throw { ...response, error: 'the loop has finished' };
+
+		const indices = trials.map((trial, t) => this.trialList.length + t);
+		this.trialList = this.trialList.concat(trials);
+		this.nStim = this.trialList.length;
+
+		this._trialSequence[this.thisRepN] = this._trialSequence[this.thisRepN].concat(indices);
+		this.nTotal += trials.length;
+		this.nRemaining += trials.length;
+	}
+
+
+	/**
+	 * Get the state of the loop, i.e. its trial list, its sequence of trials and its position in that sequence.
+	 *
+	 * @public
+	 * @return {Object} the state, which can be serialised in JSON
+	 */
+	getState() {
+		return {
+			trialList: this.trialList,
+			randomState: this._randomGenerator.getState(),
+			trialSequence: this._trialSequence,
+			nStim: this.nStim,
+			nTotal: this.nTotal,
+			nRemaining: this.nRemaining,
+			thisRepN: this.thisRepN,
+			thisTrialN: this.thisTrialN,
+			thisN: this.thisN,
+			thisIndex: this.thisIndex,
+			finished: this.finished
+		};
+	}
+
+
+	/**
+	 * Restore the state of the loop, e.g. when resuming an interrupted session.
+	 *
+	 * @public
+	 * @param {Object} state - a state returned by {@link getState}
+	 * @param {Object} [options]
+	 * @param {boolean} [options.rewind= false] - whether the current trial of the state should be run again
+	 */
+	setState(state, { rewind = false } = {}) {
+		this.trialList = state.trialList;
+		this._randomGenerator.setState(state.randomState);
+		this._trialSequence = state.trialSequence;
+		this.nStim = state.nStim;
+		this.nTotal = state.nTotal;
+		this.nRemaining = state.nRemaining;
+		this.thisRepN = state.thisRepN;
+		this.thisTrialN = state.thisTrialN;
+		this.thisN = state.thisN;
+		this.thisIndex = state.thisIndex;
+		this.finished = state.finished;
+		this.thisTrial = null;
+
+		// the iterator will return the current trial again:
+		if (rewind && !this.finished && this.thisTrialN >= 0) {
+			this.thisTrialN--;
+			this.thisN--;
+			this.nRemaining++;
+		}
+	}
+
+
 	/**
 	 * Get the trial index.
 	 * 
@@ -245,7 +488,7 @@ export class TrialHandler extends PsychObject {
 
 
 	/**
-	 * Import a list of conditions from a .xls, .xlsx, .odp, or .csv resource.
+	 * Import a list of conditions from a .xls, .xlsx, .odp, .csv, .tsv or .json resource.
 	 *
 	 * <p>The output is suitable as an input to 'TrialHandler', 'trialTypes' or
 	 * 'MultiStairHandler' as a 'conditions' list.</p>
@@ -259,14 +502,21 @@ export class TrialHandler extends PsychObject {
 	 * <li>contain no spaces or other punctuation (underscores are permitted)</li>
 	 * </ul></p>
 	 *
-	 * <p>Note that we only consider the first worksheet for .xls, .xlsx and .odp resource.</p>
+	 * <p>For .xls, .xlsx and .odp resources, the conditions are read from the given worksheet or, by default,
+	 * from the first worksheet. A .json resource should contain an array of objects, one per type of trial.</p>
 	 *
+	 * <p>Cells of spreadsheet resources are converted to numbers, booleans ('true' or 'false', whatever the case)
+	 * and arrays (e.g. '[0.5, 0.5]' or '(0.5, 0.5)') whenever possible. Empty rows are ignored.</p>
 	 *
 	 * <p> 'selection' is used to select a subset of condition indices to be used
-	 * It can be a single integer, an array of indices, or a string to be parsed, e.g.:
+	 * It can be a single integer, an array of indices, an array of booleans with one entry per condition,
+	 * or a string to be parsed with the same syntax as Python slices, e.g.:
 	 *	5
 	 *	[1,2,3,10]
+	 *	[true, false, true]
 	 *	'1,5,10'
+	 *	'[1,3,5]'
+	 *	'0:10'
 	 *	'1:2:5'
 	 *	'5:'
 	 *	'-5:-2, 9, 11:5:22'
@@ -276,31 +526,60 @@ export class TrialHandler extends PsychObject {
 	 * @param {module:core.ServerManager} serverManager - the server manager
 	 * @param {String} resourceName - the name of the resource containing the list of conditions, which must have been registered with the server manager.
 	 * @param {Object} [selection = null] - the selection
+	 * @param {String} [worksheet = null] - the name of the worksheet containing the conditions, for .xls, .xlsx and .odp resources
 	 * @return {Object} the parsed conditions as an array of 'object as map'
 	 * @throws {Object} Throws an exception if importing the conditions failed.
 	 */
-	static importConditions(serverManager, resourceName, selection = null) {
+	static importConditions(serverManager, resourceName, selection = null, worksheet = null) {
 		try {
 			let resourceExtension = resourceName.split('.').pop();
-			if (['csv', 'odp', 'xls', 'xlsx'].indexOf(resourceExtension) > -1) {
+			let resourceValue = serverManager.getResource(resourceName);
+
+			// (*) json resource: an array of conditions
+			if (resourceExtension === 'json') {
+				let conditions = resourceValue;
+				if (typeof conditions !== 'object' || conditions instanceof ArrayBuffer)
+					conditions = JSON.parse((typeof conditions === 'string') ? conditions : new TextDecoder().decode(conditions));
+				if (!Array.isArray(conditions))
+					throw '"the json resource should contain an array of conditions"';
+
+				if (selection != null)
+					conditions = TrialHandler._selectFromArray(conditions, selection);
+
+				return conditions;
+			}
+
+			else if (['csv', 'tsv', 'odp', 'xls', 'xlsx'].indexOf(resourceExtension) > -1) {
 				// (*) read conditions from resource:
-				let resourceValue = serverManager.getResource(resourceName);
-				let workbook = XLSX.read(new Uint8Array(resourceValue), { type: "array" });
+				let workbook;
+				if (resourceExtension === 'tsv') {
+					const text = new TextDecoder().decode(new Uint8Array(resourceValue));
+					workbook = XLSX.read(text, { type: "string", FS: "\t" });
+				}
+				else
+					workbook = XLSX.read(new Uint8Array(resourceValue), { type: "array" });
 
-				// we consider only the first worksheet:
+				// we consider the given worksheet or, by default, the first one:
 				if (workbook.SheetNames.length == 0)
 					throw '"workbook should contain at least one worksheet"';
 				let sheetName = workbook.SheetNames[0];
-				let worksheet = workbook.Sheets[sheetName];
+				if (worksheet !== null) {
+					if (workbook.SheetNames.indexOf(worksheet) === -1)
+						throw '"unknown worksheet: ' + worksheet + '"';
+					sheetName = worksheet;
+				}
+				let sheet = workbook.Sheets[sheetName];
 
-				// worksheet to array of arrays (the first array contains the fields):
-				let sheet = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-				let fields = sheet.shift();
+				// worksheet to array of arrays (the first array contains the fields), without the empty rows:
+				let rows = XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: false });
+				let fields = rows.shift();
+				if (typeof fields === 'undefined')
+					throw '"worksheet ' + sheetName + ' is empty"';
 
 				// (*) select conditions:
-				let selectedRows = sheet;
+				let selectedRows = rows;
 				if (selection != null)
-					selectedRows = selectFromArray(sheet, selection);
+					selectedRows = TrialHandler._selectFromArray(rows, selection);
 
 
 				// (*) return the selected conditions as an array of 'object as map':
@@ -309,12 +588,12 @@ export class TrialHandler extends PsychObject {
 				//		{field0: value1-0, field1: value1-1, ...}
 				//		...
 				// ]
-				let trialList = new Array(selectedRows.length - 1);
+				let trialList = new Array(selectedRows.length);
 				for (var r = 0; r < selectedRows.length; ++r) {
 					let row = selectedRows[r];
 					let trial = {};
 					for (var l = 0; l < fields.length; ++l)
-						trial[fields[l]] = row[l];
+						trial[fields[l]] = TrialHandler._coerceValue(row[l]);
 					trialList[r] = trial;
 				}
 
@@ -322,7 +601,7 @@ export class TrialHandler extends PsychObject {
 			}
 
 			else {
-				throw 'extension: ' + resourceExtension + ' currently not supported.';
+				throw '"extension: ' + resourceExtension + ' currently not supported."';
 			}
 		}
 		catch (exception) {
@@ -331,11 +610,150 @@ export class TrialHandler extends PsychObject {
 	}
 
 
+	/**
+	 * Select elements of an array.
+	 *
+	 * <p>See [importConditions]{@link module:data.TrialHandler.importConditions} for the syntax of the selection.</p>
+	 *
+	 * @protected
+	 * @static
+	 * @param {Array.<Object>} array - the array
+	 * @param {number|Array.number|Array.boolean|string} selection - the selection
+	 * @return {Array.<Object>} the selected elements, in the order of the selection
+	 */
+	static _selectFromArray(array, selection) {
+		let indices = [];
+
+		// a single index:
+		if (typeof selection === 'number')
+			indices = [selection];
+
+		// a boolean mask, or an array of indices:
+		else if (Array.isArray(selection)) {
+			if (selection.length > 0 && selection.every(s => typeof s === 'boolean')) {
+				if (selection.length !== array.length)
+					throw '"the boolean mask should have one entry per condition"';
+				indices = selection.reduce((selected, s, i) => { if (s) selected.push(i); return selected; }, []);
+			}
+			else
+				indices = selection;
+		}
+
+		// a string of comma-separated indices and slices, possibly within brackets:
+		else if (typeof selection === 'string') {
+			const parts = selection.trim().replace(/^[\[(]/, '').replace(/[\])]$/, '').split(',');
+			for (const part of parts) {
+				if (part.trim() === '')
+					continue;
+
+				if (part.indexOf(':') > -1)
+					indices.push(...TrialHandler._sliceIndices(array.length, part));
+				else
+					indices.push(Number(part));
+			}
+		}
+
+		else
+			throw '"unknown selection type: ' + typeof selection + '"';
+
+		// negative indices count from the end of the array, as in Python:
+		return indices.map(index => {
+			if (!Number.isInteger(index) || index >= array.length || index < -array.length)
+				throw '"invalid selection index: ' + index + '"';
+			return array[(index < 0) ? array.length + index : index];
+		});
+	}
+
+
+	/**
+	 * Get the indices given by a Python slice, such as '1:10:2' or '-5:'.
+	 *
+	 * @protected
+	 * @static
+	 * @param {number} length - the length of the sliced array
+	 * @param {string} slice - the slice, start:stop[:step]
+	 * @return {Array.number} the indices
+	 */
+	static _sliceIndices(length, slice) {
+		const bounds = slice.split(':').map(b => b.trim());
+		if (bounds.length > 3 || bounds.some(b => b !== '' && !Number.isInteger(Number(b))))
+			throw '"invalid slice: ' + slice + '"';
+
+		const step = (bounds.length === 3 && bounds[2] !== '') ? Number(bounds[2]) : 1;
+		if (step === 0)
+			throw '"slice step cannot be zero: ' + slice + '"';
+
+		// clip a bound to the array, as in Python:
+		const clip = (bound, lower, upper) => {
+			if (bound < 0)
+				bound += length;
+			return Math.min(Math.max(bound, lower), upper);
+		};
+
+		let start, stop;
+		if (step > 0) {
+			start = (bounds[0] !== '') ? clip(Number(bounds[0]), 0, length) : 0;
+			stop = (bounds[1] !== '') ? clip(Number(bounds[1]), 0, length) : length;
+		}
+		else {
+			start = (bounds[0] !== '') ? clip(Number(bounds[0]), -1, length - 1) : length - 1;
+			stop = (bounds[1] !== '') ? clip(Number(bounds[1]), -1, length - 1) : -1;
+		}
+
+		let indices = [];
+		for (let i = start; (step > 0) ? i < stop : i > stop; i += step)
+			indices.push(i);
+		return indices;
+	}
+
+
+	/**
+	 * Convert the value of a cell to a number, a boolean or an array, if possible.
+	 *
+	 * @protected
+	 * @static
+	 * @param {*} value - the value of the cell
+	 * @return {*} the converted value, or the value itself if it could not be converted
+	 */
+	static _coerceValue(value) {
+		if (typeof value !== 'string')
+			return value;
+
+		const trimmedValue = value.trim();
+		if (trimmedValue === '')
+			return value;
+
+		// boolean:
+		if (/^(true|false)$/i.test(trimmedValue))
+			return (trimmedValue.toLowerCase() === 'true');
+
+		// number:
+		if (!isNaN(Number(trimmedValue)))
+			return Number(trimmedValue);
+
+		// list or tuple, e.g. [0.5, 0.5] or (0.5, 0.5):
+		if (/^\[.*\]$/.test(trimmedValue) || /^\(.*\)$/.test(trimmedValue)) {
+			try {
+				const list = JSON.parse('[' + trimmedValue.slice(1, -1).replace(/'/g, '"') + ']');
+				return list.map(element => TrialHandler._coerceValue(element));
+			}
+			catch (error) {
+				return value;
+			}
+		}
+
+		return value;
+	}
+
+
 	/**
 	 * Prepare the trial list.
 	 *
+	 * <p>When trialList is a factorial design, the names of its factors are kept in factorNames, so that the
+	 * ExperimentHandler can declare them in the header of the data.</p>
+	 *
 	 * @protected
-	 * @param {Array.<Object> | String} trialList - if it is a string, we treat it as the name of a condition resource
+	 * @param {Array.<Object> | String | module:data.FactorialDesign} trialList - if it is a string, we treat it as the name of a condition resource
 	 */
 	_prepareTrialList(trialList) {
 		let response = { origin : 'TrialHandler._prepareTrialList', context : 'when preparing the trial list' };
@@ -348,6 +766,12 @@ export class TrialHandler extends PsychObject {
 		else if (typeof trialList === 'string')
 			this.trialList = TrialHandler.importConditions(this.psychoJS.serverManager, trialList);
 
+		// if trialList is a factorial design, we use the trials it generates:
+		else if (trialList instanceof FactorialDesign) {
+			this.trialList = trialList.getTrialList();
+			this.factorNames = trialList.factorNames;
+		}
+
 		// if trialList is an array, we make sure it is not empty:
 		else if (Array.isArray(trialList)) {
 			if (trialList.length == 0)
@@ -384,6 +808,9 @@ export class TrialHandler extends PsychObject {
 	 *    2, 0, 0, 1, 0, 2, 1, 2, 0, 1, 1, 1, 2, 0, 2
 	 * </p>
 	 *
+	 * <p>The other methods are described in {@link module:data.TrialHandler.Method}. All random
+	 * methods use the seeded random number generator of the TrialHandler, so that the sequence is reproducible.</p>
+	 *
 	 * @protected
 	 */
 	_prepareSequence() {
@@ -392,11 +819,8 @@ export class TrialHandler extends PsychObject {
 		// get an array of the indices of the elements of trialList :
 		const indices = Array.from(this.trialList.keys());
 
-		// seed the random number generator:
-		if (typeof (this.seed) !== 'undefined')
-			Math.seedrandom(this.seed);
-		else
-			Math.seedrandom();
+		// each TrialHandler has its own random number generator, which does not interfere with that of other loops:
+		this._randomGenerator = new RandomGenerator({ seed: this.seed });
 
 		if (this.method === TrialHandler.Method.SEQUENTIAL) {
 			this._trialSequence = Array(this.nReps).fill(indices);
@@ -407,7 +831,7 @@ export class TrialHandler extends PsychObject {
 		else if (this.method === TrialHandler.Method.RANDOM) {
 			this._trialSequence = [];
 			for (let i = 0; i < this.nReps; ++i)
-				this._trialSequence.push(util.shuffle(indices.slice()));
+				this._trialSequence.push(this._randomGenerator.shuffle(indices.slice()));
 		}
 
 		else if (this.method === TrialHandler.Method.FULL_RANDOM) {
@@ -417,13 +841,26 @@ export class TrialHandler extends PsychObject {
 				flatSequence.push.apply(flatSequence, indices);
 
 			// shuffle the sequence:
-			util.shuffle(flatSequence);
+			this._randomGenerator.shuffle(flatSequence);
 
 			// reshape it into the trialSequence:
 			this._trialSequence = [];
 			for (let i = 0; i < this.nReps; i++)
 				this._trialSequence.push(flatSequence.slice(i * this.nStim, (i + 1) * this.nStim));
 		}
+
+		else if (this.method === TrialHandler.Method.CONSTRAINED_RANDOM)
+			this._trialSequence = this._prepareConstrainedRandomSequence(indices);
+
+		else if (this.method === TrialHandler.Method.BLOCKED_RANDOM)
+			this._trialSequence = this._prepareBlockedRandomSequence(indices);
+
+		else if (this.method === TrialHandler.Method.LATIN_SQUARE)
+			this._trialSequence = this._prepareLatinSquareSequence();
+
+		else if (this.method === TrialHandler.Method.CUSTOM)
+			this._trialSequence = this._prepareCustomSequence();
+
 		else {
 			throw { ...response, error: 'unknown method' };
 		}
@@ -431,6 +868,193 @@ export class TrialHandler extends PsychObject {
 		return this._trialSequence;
 	}
 
+
+	/**
+	 * Prepare a random sequence of trials in which no more than maxRepeats consecutive trials share the
+	 * same value of the constrained attribute, including across repetitions.
+	 *
+	 * <p>Each repetition is built by drawing, at random, amongst the remaining trials those that do not violate
+	 * the constraint. When no such trial remains, the repetition is started anew.</p>
+	 *
+	 * @protected
+	 * @param {Array.number} indices - the indices of the elements of trialList
+	 * @return {Array.<Array.number>} the sequence of trial indices
+	 */
+	_prepareConstrainedRandomSequence(indices) {
+		let response = { origin : 'TrialHandler._prepareConstrainedRandomSequence', context : 'when preparing a constrained random sequence of trials' };
+
+		const column = this.methodOptions.column;
+		const maxRepeats = (typeof this.methodOptions.maxRepeats === 'number') ? this.methodOptions.maxRepeats : 1;
+		const maxAttempts = (typeof this.methodOptions.maxAttempts === 'number') ? this.methodOptions.maxAttempts : 1000;
+		if (typeof column === 'undefined')
+			throw { ...response, error: 'the methodOptions should include the name of the constrained column' };
+		if (maxRepeats < 1)
+			throw { ...response, error: 'maxRepeats should be at least 1' };
+
+		const valueOf = (index) => util.toString((this.trialList[index] || {})[column]);
+
+		let sequence = [];
+		for (let r = 0; r < this.nReps; ++r) {
+			// the trials at the end of the previous repetition constrain the beginning of this one:
+			const previous = (r > 0) ? sequence[r - 1] : [];
+
+			let repetition = null;
+			for (let attempt = 0; attempt < maxAttempts && repetition === null; ++attempt) {
+				let remaining = indices.slice();
+				let candidate = [];
+				while (remaining.length > 0) {
+					const history = previous.concat(candidate).slice(-maxRepeats);
+					const tooManyRepeats = (index) => history.length === maxRepeats && history.every(h => valueOf(h) === valueOf(index));
+
+					const allowed = remaining.filter(index => !tooManyRepeats(index));
+					if (allowed.length === 0)
+						break;
+
+					const index = allowed[this._randomGenerator.randint(0, allowed.length)];
+					candidate.push(index);
+					remaining.splice(remaining.indexOf(index), 1);
+				}
+
+				if (remaining.length === 0)
+					repetition = candidate;
+			}
+
+			if (repetition === null)
+				throw { ...response, error: 'unable to satisfy the constraint on column ' + column + ' with at most ' + maxRepeats + ' consecutive repeats' };
+			sequence.push(repetition);
+		}
+
+		return sequence;
+	}
+
+
+	/**
+	 * Prepare a sequence of trials grouped in blocks that share the same value of the grouping attribute.
+	 *
+	 * <p>In each repetition, both the order of the blocks and the order of the trials within each block are random.</p>
+	 *
+	 * @protected
+	 * @param {Array.number} indices - the indices of the elements of trialList
+	 * @return {Array.<Array.number>} the sequence of trial indices
+	 */
+	_prepareBlockedRandomSequence(indices) {
+		const column = this.methodOptions.column;
+		if (typeof column === 'undefined')
+			throw { origin : 'TrialHandler._prepareBlockedRandomSequence', context : 'when preparing a blocked random sequence of trials', error: 'the methodOptions should include the name of the grouping column' };
+
+		// group the trials by value of the grouping attribute:
+		let blocks = new Map();
+		for (const index of indices) {
+			const value = util.toString((this.trialList[index] || {})[column]);
+			if (!blocks.has(value))
+				blocks.set(value, []);
+			blocks.get(value).push(index);
+		}
+
+		let sequence = [];
+		for (let r = 0; r < this.nReps; ++r) {
+			const blockOrder = this._randomGenerator.shuffle(Array.from(blocks.values()));
+			let repetition = [];
+			for (const block of blockOrder)
+				repetition.push(...this._randomGenerator.shuffle(block.slice()));
+			sequence.push(repetition);
+		}
+
+		return sequence;
+	}
+
+
+	/**
+	 * Prepare a sequence of trials given by a balanced Latin square (Williams design).
+	 *
+	 * <p>Each repetition uses a row of the square: the participant number selects the row of the first repetition
+	 * and subsequent repetitions use the following rows. Since the square is balanced, each trial follows every
+	 * other trial equally often across participants.</p>
+	 *
+	 * @protected
+	 * @return {Array.<Array.number>} the sequence of trial indices
+	 */
+	_prepareLatinSquareSequence() {
+		let response = { origin : 'TrialHandler._prepareLatinSquareSequence', context : 'when preparing a Latin square sequence of trials' };
+
+		// the participant number is read from the extraInfo of the experiment, or from that of the TrialHandler:
+		const participantKey = (typeof this.methodOptions.participantKey === 'string') ? this.methodOptions.participantKey : 'participant';
+		let participant;
+		if (this.psychoJS.experiment && this.psychoJS.experiment.extraInfo && participantKey in this.psychoJS.experiment.extraInfo)
+			participant = this.psychoJS.experiment.extraInfo[participantKey];
+		else if (this.extraInfo && participantKey in this.extraInfo)
+			participant = this.extraInfo[participantKey];
+
+		participant = parseInt(participant, 10);
+		if (isNaN(participant))
+			throw { ...response, error: 'the extraInfo should include a participant number under key: ' + participantKey };
+		if (participant < 0)
+			throw { ...response, error: 'the participant number should not be negative: ' + participant };
+
+		// first row: 0, 1, n-1, 2, n-2, ...
+		const n = this.nStim;
+		let firstRow = [0];
+		for (let i = 1; i < n; ++i)
+			firstRow.push((i % 2 === 1) ? (i + 1) / 2 : n - i / 2);
+
+		// the other rows are obtained by adding the row number, modulo n:
+		let square = [];
+		for (let r = 0; r < n; ++r)
+			square.push(firstRow.map(v => (v + r) % n));
+
+		// with an odd number of trials, the reversed rows are also needed for the square to be balanced:
+		if (n % 2 === 1)
+			for (let r = 0; r < n; ++r)
+				square.push(square[r].slice().reverse());
+
+		let sequence = [];
+		for (let r = 0; r < this.nReps; ++r)
+			sequence.push(square[(participant + r) % square.length].slice());
+
+		return sequence;
+	}
+
+
+	/**
+	 * Prepare a sequence of trials given by the user-supplied ordering function.
+	 *
+	 * <p>The function is called with the trial list, the number of repetitions and a function returning numbers
+	 * drawn from the seeded random number generator of the TrialHandler. It should return either nReps arrays of nStim trial indices, or a single array of nReps * nStim
+	 * trial indices.</p>
+	 *
+	 * @protected
+	 * @return {Array.<Array.number>} the sequence of trial indices
+	 */
+	_prepareCustomSequence() {
+		let response = { origin : 'TrialHandler._prepareCustomSequence', context : 'when preparing a custom sequence of trials' };
+
+		const orderFunction = this.methodOptions.orderFunction;
+		if (typeof orderFunction !== 'function')
+			throw { ...response, error: 'the methodOptions should include an ordering function' };
+
+		let sequence = orderFunction(this.trialList, this.nReps, () => this._randomGenerator.random());
+		if (!Array.isArray(sequence))
+			throw { ...response, error: 'the ordering function should return an array of trial indices' };
+
+		// reshape a flat sequence:
+		if (sequence.length > 0 && !Array.isArray(sequence[0])) {
+			let reshaped = [];
+			for (let i = 0; i < this.nReps; ++i)
+				reshaped.push(sequence.slice(i * this.nStim, (i + 1) * this.nStim));
+			sequence = reshaped;
+		}
+
+		// check the sequence:
+		if (sequence.length !== this.nReps || sequence.some(repetition => !Array.isArray(repetition) || repetition.length !== this.nStim))
+			throw { ...response, error: 'the ordering function should return ' + this.nReps + ' repetitions of ' + this.nStim + ' trials' };
+		for (const repetition of sequence)
+			for (const index of repetition)
+				if (!Number.isInteger(index) || index < 0 || index >= this.nStim)
+					throw { ...response, error: 'invalid trial index: ' + util.toString(index) };
+
+		return sequence;
+	}
+
 }
 
 
@@ -455,5 +1079,27 @@ TrialHandler.Method = {
 	/**
 	 * Conditions are fully randomised across all repeats.
 	 */
-	FULL_RANDOM: Symbol.for('FULL_RANDOM')
+	FULL_RANDOM: Symbol.for('FULL_RANDOM'),
+
+	/**
+	 * Conditions are shuffled within each repeat, with at most methodOptions.maxRepeats consecutive trials
+	 * sharing the same value of methodOptions.column.
+	 */
+	CONSTRAINED_RANDOM: Symbol.for('CONSTRAINED_RANDOM'),
+
+	/**
+	 * Conditions are grouped in blocks by value of methodOptions.column, and both blocks and conditions
+	 * within blocks are shuffled within each repeat.
+	 */
+	BLOCKED_RANDOM: Symbol.for('BLOCKED_RANDOM'),
+
+	/**
+	 * Conditions are ordered according to the row of a balanced Latin square given by the participant number.
+	 */
+	LATIN_SQUARE: Symbol.for('LATIN_SQUARE'),
+
+	/**
+	 * Conditions are ordered by the user-supplied methodOptions.orderFunction.
+	 */
+	CUSTOM: Symbol.for('CUSTOM')
 };
@@ -0,0 +1,214 @@
+/**
+ * @file Seeded pseudo-random number generator.
+ *
+ * @author Alain Pitiot
+ * @version 3.0.0b11
+ * @copyright (c) 2018 Ilixa Ltd. ({@link http://ilixa.com})
+ * @license Distributed under the terms of the MIT License
+ */
+
+
+/**
+ * <p>A RandomGenerator is an independent, seeded, pseudo-random number generator.</p>
+ *
+ * <p>Contrary to Math.seedrandom, which reseeds Math.random for the whole page, each RandomGenerator has its own state,
+ * so that components with different seeds do not interfere with one another and the same seed always gives the same
+ * sequence of numbers. When no seed is given, one is drawn at random and can be read back, e.g. to be saved with the
+ * data.</p>
+ *
+ * @name module:util.RandomGenerator
+ * @class
+ * @param {Object} options
+ * @param {number|string} [options.seed] - the seed, drawn at random if undefined
+ * @param {module:util.RandomGenerator.Algorithm} [options.algorithm= RandomGenerator.Algorithm.SFC32] - the algorithm
+ */
+export class RandomGenerator {
+
+	/**
+	 * Getter for the seed.
+	 *
+	 * @name module:util.RandomGenerator#seed
+	 * @function
+	 * @public
+	 */
+	get seed() { return this._seed; }
+
+	/**
+	 * Getter for the algorithm.
+	 *
+	 * @name module:util.RandomGenerator#algorithm
+	 * @function
+	 * @public
+	 */
+	get algorithm() { return this._algorithm; }
+
+
+	constructor({
+		seed,
+		algorithm = RandomGenerator.Algorithm.SFC32
+	} = {}) {
+		if (algorithm !== RandomGenerator.Algorithm.SFC32 && algorithm !== RandomGenerator.Algorithm.MULBERRY32)
+			throw { origin: 'RandomGenerator', context: 'when creating a random generator', error: 'unknown algorithm: ' + String(algorithm) };
+
+		if (typeof seed === 'undefined' || seed === null)
+			seed = Math.floor(Math.random() * 4294967296);
+
+		this._seed = seed;
+		this._algorithm = algorithm;
+
+		// the state is made of 32-bit unsigned integers derived from the seed:
+		const hash = RandomGenerator._hash(String(seed));
+		if (algorithm === RandomGenerator.Algorithm.SFC32) {
+			this._state = hash;
+
+			// the first outputs of sfc32 are poorly mixed, so we discard them:
+			for (let i = 0; i < 15; ++i)
+				this.random();
+		}
+		else
+			this._state = [hash[0]];
+	}
+
+
+	/**
+	 * Get the next pseudo-random number.
+	 *
+	 * @name module:util.RandomGenerator#random
+	 * @function
+	 * @public
+	 * @return {number} a number uniformly distributed in [0, 1)
+	 */
+	random() {
+		if (this._algorithm === RandomGenerator.Algorithm.SFC32) {
+			let [a, b, c, d] = this._state;
+			const t = (((a + b) | 0) + d) | 0;
+			d = (d + 1) | 0;
+			a = b ^ (b >>> 9);
+			b = (c + (c << 3)) | 0;
+			c = (c << 21) | (c >>> 11);
+			c = (c + t) | 0;
+			this._state = [a >>> 0, b >>> 0, c >>> 0, d >>> 0];
+			return (t >>> 0) / 4294967296;
+		}
+
+		// mulberry32:
+		this._state[0] = (this._state[0] + 0x6D2B79F5) >>> 0;
+		let t = this._state[0];
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	}
+
+
+	/**
+	 * Get a pseudo-random integer.
+	 *
+	 * @name module:util.RandomGenerator#randint
+	 * @function
+	 * @public
+	 * @param {number} min - the minimum value
+	 * @param {number} max - the maximum value, which is excluded
+	 * @return {number} an integer uniformly distributed in [min, max)
+	 */
+	randint(min, max) {
+		return min + Math.floor(this.random() * (max - min));
+	}
+
+
+	/**
+	 * Shuffle an array in place, with the Fisher-Yates algorithm.
+	 *
+	 * @name module:util.RandomGenerator#shuffle
+	 * @function
+	 * @public
+	 * @param {Array} array - the array
+	 * @return {Array} the shuffled array
+	 */
+	shuffle(array) {
+		for (let i = array.length - 1; i > 0; --i) {
+			const j = this.randint(0, i + 1);
+			[array[i], array[j]] = [array[j], array[i]];
+		}
+		return array;
+	}
+
+
+	/**
+	 * Get the state of the generator.
+	 *
+	 * @name module:util.RandomGenerator#getState
+	 * @function
+	 * @public
+	 * @return {Object} the state, which can be serialised in JSON
+	 */
+	getState() {
+		return { seed: this._seed, algorithm: Symbol.keyFor(this._algorithm), state: this._state.slice() };
+	}
+
+
+	/**
+	 * Restore the state of the generator, so that it produces the same numbers as when the state was taken.
+	 *
+	 * @name module:util.RandomGenerator#setState
+	 * @function
+	 * @public
+	 * @param {Object} state - a state returned by [getState]{@link module:util.RandomGenerator#getState}
+	 */
+	setState(state) {
+		this._seed = state.seed;
+		this._algorithm = Symbol.for(state.algorithm);
+		this._state = state.state.slice();
+	}
+
+
+	/**
+	 * Hash a string into four 32-bit unsigned integers (cyrb128).
+	 *
+	 * @name module:util.RandomGenerator._hash
+	 * @function
+	 * @static
+	 * @private
+	 * @param {string} str - the string
+	 * @return {Array.number} the hash
+	 */
+	static _hash(str) {
+		let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+		for (let i = 0; i < str.length; ++i) {
+			const k = str.charCodeAt(i);
+			h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+			h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+			h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+			h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+		}
+		h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+		h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+		h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+		h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+		h1 ^= (h2 ^ h3 ^ h4);
+		h2 ^= h1;
+		h3 ^= h1;
+		h4 ^= h1;
+		return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+	}
+
+}
+
+
+/**
+ * RandomGenerator algorithm
+ *
+ * @enum {Symbol}
+ * @readonly
+ * @public
+ */
+RandomGenerator.Algorithm = {
+	/**
+	 * Small Fast Counter (128-bit state).
+	 */
+	SFC32: Symbol.for('SFC32'),
+
+	/**
+	 * Mulberry32 (32-bit state).
+	 */
+	MULBERRY32: Symbol.for('MULBERRY32')
+};